@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'auth' });
+
+// API keys are configured as JSON: {"<key>": {"users": ["user-a", "user-b"], "admin": false}}
+// "users": ["*"] grants every user, "admin": true additionally unlocks the list endpoints.
+function loadApiKeys(raw = process.env.API_KEYS) {
+  const keys = new Map();
+  if (!raw) return keys;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`API_KEYS is not valid JSON: ${error.message}`);
+  }
+
+  for (const [key, config] of Object.entries(parsed)) {
+    keys.set(hashKey(key), {
+      keyId: hashKey(key).slice(0, 8),
+      users: Array.isArray(config.users) ? config.users : [],
+      admin: config.admin === true
+    });
+  }
+
+  return keys;
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function base64UrlDecode(segment) {
+  return Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+// Minimal HS256 JWT verification; returns the claims or throws
+function verifyJwt(token, secret) {
+  const [headerPart, payloadPart, signaturePart] = token.split('.');
+  if (!headerPart || !payloadPart || !signaturePart) throw new Error('Malformed token');
+
+  const header = JSON.parse(base64UrlDecode(headerPart).toString('utf8'));
+  if (header.alg !== 'HS256') throw new Error(`Unsupported token algorithm: ${header.alg}`);
+
+  const expected = crypto.createHmac('sha256', secret).update(`${headerPart}.${payloadPart}`).digest();
+  const received = base64UrlDecode(signaturePart);
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    throw new Error('Invalid token signature');
+  }
+
+  const claims = JSON.parse(base64UrlDecode(payloadPart).toString('utf8'));
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.exp && now >= claims.exp) throw new Error('Token expired');
+  if (claims.nbf && now < claims.nbf) throw new Error('Token not yet valid');
+
+  return claims;
+}
+
+// Token claims: "user_ids" (array) or "sub" (single user), plus "admin": true or an "admin" scope
+function principalFromClaims(claims) {
+  const users = Array.isArray(claims.user_ids) ? claims.user_ids : (claims.sub ? [claims.sub] : []);
+  const scopes = typeof claims.scope === 'string' ? claims.scope.split(' ') : [];
+
+  return {
+    keyId: `jwt:${claims.sub || 'anonymous'}`,
+    users,
+    admin: claims.admin === true || scopes.includes('admin')
+  };
+}
+
+function createAuth(options = {}) {
+  const apiKeys = options.apiKeys || loadApiKeys();
+  const jwtSecret = options.jwtSecret || process.env.JWT_SECRET || null;
+  const enabled = apiKeys.size > 0 || !!jwtSecret;
+  // Without credentials every request is refused, unless the operator opts out explicitly
+  const disabled = !enabled && (options.disabled ?? process.env.AUTH_DISABLED === 'true');
+
+  if (disabled) {
+    log.warn('AUTH_DISABLED is set - control endpoints are NOT authenticated');
+  } else if (!enabled) {
+    log.error('No API_KEYS or JWT_SECRET configured - every control endpoint answers 401 until one is set (or AUTH_DISABLED=true)');
+  }
+
+  // Works for Express requests and raw upgrade requests (WebSocket)
+  function logDenied(req, reason, principal) {
+    const ip = req.ip || req.socket?.remoteAddress;
+    const url = (req.originalUrl || req.url).replace(/access_token=[^&]*/, 'access_token=***');
+    log.warn('Request denied', { method: req.method, url, ip, keyId: principal?.keyId || null, reason });
+  }
+
+  function readCredential(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) return header.slice(7).trim();
+    if (req.headers['x-api-key']) return req.headers['x-api-key'];
+
+    // Browsers can't set headers on EventSource/WebSocket connections
+    const url = new URL(req.originalUrl || req.url, 'http://localhost');
+    return url.searchParams.get('access_token');
+  }
+
+  function resolvePrincipal(credential) {
+    const apiKey = apiKeys.get(hashKey(credential));
+    if (apiKey) return apiKey;
+
+    // Looks like a JWT - only accepted when a signing secret is configured
+    if (jwtSecret && credential.split('.').length === 3) {
+      return principalFromClaims(verifyJwt(credential, jwtSecret));
+    }
+
+    return null;
+  }
+
+  // Check a request against a userId (or admin scope when userId is empty).
+  // Returns { principal } when allowed, otherwise { status, reason }.
+  function authorize(req, userId) {
+    if (disabled) return { principal: null };
+    if (!enabled) return { status: 401, reason: 'Authentication is not configured' };
+
+    const credential = readCredential(req);
+    if (!credential) return { status: 401, reason: 'Missing API key or bearer token' };
+
+    let principal;
+    try {
+      principal = resolvePrincipal(credential);
+    } catch (error) {
+      return { status: 401, reason: error.message };
+    }
+
+    if (!principal) return { status: 401, reason: 'Unknown API key' };
+
+    if (!userId) {
+      if (!principal.admin) return { status: 403, reason: 'Admin scope required', principal };
+    } else if (!principal.admin && !principal.users.includes('*') && !principal.users.includes(userId)) {
+      return { status: 403, reason: `Not authorized for user ${userId}`, principal };
+    }
+
+    return { principal };
+  }
+
+  // Guard a route. `resolveUserId(req)` names the user the request acts on;
+  // when it returns nothing the route lists every user and needs admin scope.
+  function requireAccess(resolveUserId = () => null) {
+    return (req, res, next) => {
+      const result = authorize(req, resolveUserId(req));
+
+      if (result.status) {
+        logDenied(req, result.reason, result.principal);
+        return res.status(result.status).json({
+          error: result.status === 401 ? 'Unauthorized' : 'Forbidden',
+          reason: result.reason
+        });
+      }
+
+      req.principal = result.principal;
+      next();
+    };
+  }
+
+  return { enabled, authorize, logDenied, requireAccess };
+}
+
+// CORS allowlist from CORS_ORIGINS (comma-separated), "*" for any origin. Unset allows no
+// cross-origin browser requests.
+function createCors(origins = process.env.CORS_ORIGINS) {
+  const allowlist = (origins || '').split(',').map(origin => origin.trim()).filter(Boolean);
+  const allowAll = allowlist.includes('*');
+
+  return (req, res, next) => {
+    const origin = req.get('Origin');
+
+    if (allowAll) {
+      res.header('Access-Control-Allow-Origin', '*');
+    } else if (origin && allowlist.includes(origin)) {
+      res.header('Access-Control-Allow-Origin', origin);
+      res.header('Vary', 'Origin');
+    } else if (origin) {
+      log.warn('CORS origin not allowed', { origin, method: req.method, url: req.originalUrl });
+    }
+
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+
+    if (req.method === 'OPTIONS') {
+      res.sendStatus(200);
+      return;
+    }
+
+    next();
+  };
+}
+
+module.exports = { createAuth, createCors, verifyJwt, loadApiKeys };
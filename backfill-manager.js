@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const { dataPath, readJSON, writeJSON } = require('./json-store');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Scans existing chat history for links, one job per user. Job state is persisted
+// after every page so an interrupted job (disconnect, restart) resumes where it stopped.
+class BackfillManager {
+  constructor(options = {}) {
+    this.file = options.file || dataPath('backfill-jobs.json');
+    this.pageSize = options.pageSize || parseInt(process.env.BACKFILL_PAGE_SIZE, 10) || 50;
+    this.messageDelayMs = options.messageDelayMs ?? (parseInt(process.env.BACKFILL_MESSAGE_DELAY_MS, 10) || 200);
+    this.pageDelayMs = options.pageDelayMs ?? (parseInt(process.env.BACKFILL_PAGE_DELAY_MS, 10) || 2000);
+    this.maxMessagesPerChat = options.maxMessagesPerChat || parseInt(process.env.BACKFILL_MAX_MESSAGES_PER_CHAT, 10) || 2000;
+
+    this.jobs = readJSON(this.file, {});
+    this.running = new Map(); // userId -> { cancelled }
+
+    // Whatever was running when the process died is picked up on the next connect;
+    // a job that was being cancelled has stopped now
+    for (const job of Object.values(this.jobs)) {
+      if (job.status === 'running') job.status = 'interrupted';
+      if (job.status === 'cancelling') job.status = 'cancelled';
+    }
+  }
+
+  get(userId) {
+    return this.jobs[userId] || null;
+  }
+
+  isActive(userId) {
+    return this.running.has(userId);
+  }
+
+  // `params` = { from, to, chats } with ISO dates and optional chat IDs or names
+  start(bot, params = {}) {
+    if (this.isActive(bot.userId)) {
+      throw Object.assign(new Error('A backfill job is already running for this user'), { statusCode: 409 });
+    }
+
+    const to = params.to ? new Date(params.to) : new Date();
+    const from = params.from ? new Date(params.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+      throw Object.assign(new Error('from and to must be valid dates with from before to'), { statusCode: 400 });
+    }
+    if (params.chats !== undefined && !Array.isArray(params.chats)) {
+      throw Object.assign(new Error('chats must be an array of chat IDs or names'), { statusCode: 400 });
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      userId: bot.userId,
+      status: 'pending',
+      from: from.toISOString(),
+      to: to.toISOString(),
+      chatFilter: params.chats || null,
+      chats: null,
+      messagesScanned: 0,
+      linksDispatched: 0,
+      error: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      completedAt: null
+    };
+
+    this.jobs[bot.userId] = job;
+    this.persist();
+    this.launch(bot, job);
+
+    return job;
+  }
+
+  // Continue an interrupted job once the bot is connected again
+  resume(bot) {
+    const job = this.jobs[bot.userId];
+    if (!job || !['interrupted', 'pending'].includes(job.status) || this.isActive(bot.userId)) return;
+
+    bot.log.info('Resuming backfill', { jobId: job.id });
+    this.launch(bot, job);
+  }
+
+  // A running job is `cancelling` until its worker stops after the current message
+  cancel(userId) {
+    const job = this.jobs[userId];
+    if (!job) return null;
+
+    const handle = this.running.get(userId);
+    if (handle) {
+      handle.cancelled = true;
+      this.update(job, { status: 'cancelling' });
+    } else if (job.status !== 'completed') {
+      this.update(job, { status: 'cancelled' });
+    }
+
+    return job;
+  }
+
+  launch(bot, job) {
+    const handle = { cancelled: false };
+    this.running.set(bot.userId, handle);
+
+    this.run(bot, job, handle)
+      .catch(error => {
+        // Usually the client went away mid-scan; retry on the next connect
+        bot.log.error('Backfill interrupted', { jobId: job.id, error: error.message });
+        this.update(job, { status: handle.cancelled ? 'cancelled' : 'interrupted', error: error.message });
+      })
+      .finally(() => this.running.delete(bot.userId));
+  }
+
+  async run(bot, job, handle) {
+    this.update(job, { status: 'running', error: null });
+
+    if (!job.chats) {
+      job.chats = await this.selectChats(bot, job.chatFilter);
+      this.update(job, {});
+    }
+
+    const fromTs = new Date(job.from).getTime() / 1000;
+    const toTs = new Date(job.to).getTime() / 1000;
+
+    for (const chatState of job.chats) {
+      if (chatState.done) continue;
+
+      const chat = await bot.client.getChatById(chatState.id);
+
+      while (!chatState.done) {
+        if (handle.cancelled) {
+          this.update(job, { status: 'cancelled' });
+          return;
+        }
+
+        // fetchMessages has no cursor: it returns the newest `limit` messages,
+        // so each page asks for more and only looks at the older part it hasn't seen
+        const limit = chatState.fetched + this.pageSize;
+        const messages = await chat.fetchMessages({ limit });
+        const page = messages.slice(0, Math.max(0, messages.length - chatState.fetched));
+
+        let reachedStart = false;
+        for (const message of page.reverse()) {
+          if (handle.cancelled) break;
+          if (message.timestamp < fromTs) {
+            reachedStart = true;
+            break;
+          }
+          if (message.timestamp > toTs) continue;
+
+          const dispatched = await bot.handleMessage(message, { backfill: true });
+          chatState.scanned += 1;
+          chatState.linksDispatched += dispatched || 0;
+          job.messagesScanned += 1;
+          job.linksDispatched += dispatched || 0;
+
+          if (this.messageDelayMs) await delay(this.messageDelayMs);
+        }
+        if (handle.cancelled) continue;
+
+        chatState.fetched = messages.length;
+        chatState.done = reachedStart ||
+          messages.length < limit ||
+          chatState.fetched >= this.maxMessagesPerChat;
+
+        this.update(job, {});
+        if (!chatState.done && this.pageDelayMs) await delay(this.pageDelayMs);
+      }
+    }
+
+    this.update(job, { status: 'completed', completedAt: new Date().toISOString() });
+    bot.log.info('Backfill completed', { jobId: job.id, messagesScanned: job.messagesScanned, linksDispatched: job.linksDispatched });
+  }
+
+  async selectChats(bot, chatFilter) {
+    const chats = await bot.client.getChats();
+
+    const selected = chatFilter
+      ? chats.filter(chat => chatFilter.includes(chat.id._serialized) ||
+        chatFilter.some(name => typeof name === 'string' && name.toLowerCase() === (chat.name || '').toLowerCase()))
+      : chats;
+
+    return selected.map(chat => ({
+      id: chat.id._serialized,
+      name: chat.name,
+      fetched: 0,
+      scanned: 0,
+      linksDispatched: 0,
+      done: false
+    }));
+  }
+
+  // Progress summary for the status endpoint
+  describe(userId) {
+    const job = this.jobs[userId];
+    if (!job) return null;
+
+    const chats = job.chats || [];
+    return {
+      ...job,
+      active: this.isActive(userId),
+      chats_total: chats.length,
+      chats_done: chats.filter(chat => chat.done).length
+    };
+  }
+
+  update(job, fields) {
+    Object.assign(job, fields, { updatedAt: new Date().toISOString() });
+    this.persist();
+  }
+
+  persist() {
+    writeJSON(this.file, this.jobs);
+  }
+}
+
+module.exports = BackfillManager;
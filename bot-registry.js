@@ -0,0 +1,45 @@
+const { dataPath, readJSON, writeJSON } = require('./json-store');
+
+// Persisted record of every bot's configuration and whether it should be running,
+// so the server can bring bots back after a redeploy or crash.
+class BotRegistry {
+  constructor(options = {}) {
+    this.file = options.file || dataPath('bot-registry.json');
+    this.records = readJSON(this.file, {});
+  }
+
+  get(userId) {
+    return this.records[userId] || null;
+  }
+
+  all() {
+    return Object.values(this.records);
+  }
+
+  running() {
+    return this.all().filter(record => record.desiredState === 'running');
+  }
+
+  upsert(userId, fields) {
+    this.records[userId] = {
+      ...this.records[userId],
+      ...fields,
+      userId,
+      updatedAt: new Date().toISOString()
+    };
+    this.persist();
+
+    return this.records[userId];
+  }
+
+  setDesiredState(userId, desiredState) {
+    if (!this.records[userId]) return null;
+    return this.upsert(userId, { desiredState });
+  }
+
+  persist() {
+    writeJSON(this.file, this.records);
+  }
+}
+
+module.exports = BotRegistry;
@@ -0,0 +1,220 @@
+const metrics = require('./metrics');
+
+// Disconnect reasons / client states that mean the session is gone and a new QR scan is required
+const LOGGED_OUT_REASONS = new Set(['LOGOUT', 'UNPAIRED', 'UNPAIRED_IDLE']);
+
+// Watches a single WhatsAppBot: reconnects transient failures with backoff,
+// times out bots stuck before login and polls the client state while connected.
+class BotSupervisor {
+  constructor(bot, options = {}) {
+    this.bot = bot;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.RECONNECT_MAX_ATTEMPTS, 10) || 10;
+    this.baseDelayMs = options.baseDelayMs || parseInt(process.env.RECONNECT_BASE_MS, 10) || 5000;
+    this.maxDelayMs = options.maxDelayMs || parseInt(process.env.RECONNECT_MAX_MS, 10) || 5 * 60 * 1000;
+    this.initTimeoutMs = options.initTimeoutMs || parseInt(process.env.INIT_TIMEOUT_MS, 10) || 3 * 60 * 1000;
+    this.qrTimeoutMs = options.qrTimeoutMs || parseInt(process.env.QR_TIMEOUT_MS, 10) || 10 * 60 * 1000;
+    this.healthIntervalMs = options.healthIntervalMs || parseInt(process.env.HEALTH_CHECK_INTERVAL_MS, 10) || 60 * 1000;
+
+    this.attempts = 0;
+    this.stopped = false;
+    this.reconnectTimer = null;
+    this.watchdogTimer = null;
+    this.watchdogStatus = null;
+    this.healthTimer = null;
+    this.unhealthyChecks = 0;
+
+    this.onStatusChange = this.onStatusChange.bind(this);
+    this.bot.on('status_change', this.onStatusChange);
+  }
+
+  stop() {
+    this.stopped = true;
+    this.bot.off('status_change', this.onStatusChange);
+    clearTimeout(this.reconnectTimer);
+    this.clearWatchdog();
+    this.stopHealthChecks();
+  }
+
+  onStatusChange({ status, reason }) {
+    if (this.stopped) return;
+
+    switch (status) {
+      case 'initializing':
+        this.armWatchdog('initializing', this.initTimeoutMs);
+        break;
+      case 'qr_ready':
+      case 'pairing_code_ready':
+        // QR and pairing codes rotate; only the first one starts the clock
+        if (this.watchdogStatus !== status) {
+          this.armWatchdog(status, this.qrTimeoutMs);
+        }
+        break;
+      case 'connected':
+        this.attempts = 0;
+        this.clearWatchdog();
+        this.startHealthChecks();
+        break;
+      case 'auth_failed':
+        this.clearWatchdog();
+        this.stopHealthChecks();
+        this.replaceRejectedSession(reason);
+        break;
+      case 'disconnected':
+      case 'error':
+        this.clearWatchdog();
+        this.stopHealthChecks();
+        this.scheduleReconnect(reason || status);
+        break;
+      case 'logged_out':
+        this.clearWatchdog();
+        this.stopHealthChecks();
+        this.bot.log.info('Logged out - waiting for a new start to scan a QR code');
+        break;
+    }
+  }
+
+  armWatchdog(status, timeoutMs) {
+    this.clearWatchdog();
+    this.watchdogStatus = status;
+    this.watchdogTimer = setTimeout(() => this.onWatchdogTimeout(status, timeoutMs), timeoutMs);
+    this.watchdogTimer.unref();
+  }
+
+  clearWatchdog() {
+    clearTimeout(this.watchdogTimer);
+    this.watchdogTimer = null;
+    this.watchdogStatus = null;
+  }
+
+  async onWatchdogTimeout(status, timeoutMs) {
+    if (this.stopped || this.bot.getStatus() !== status) return;
+
+    const seconds = Math.round(timeoutMs / 1000);
+
+    if (status === 'initializing') {
+      this.bot.log.warn('Client stuck in initializing - restarting', { seconds });
+      this.scheduleReconnect('init_timeout');
+      return;
+    }
+
+    // Nobody scanned the QR (or entered the pairing code); reconnecting would only produce more codes
+    this.bot.log.warn('Login not completed in time - shutting client down', { seconds });
+    this.stopHealthChecks();
+    await this.bot.shutdownClient();
+    this.bot.setStatus('login_timeout', { reason: `${status}_timeout` });
+  }
+
+  // WhatsApp refused the stored session, so retrying with it can't work. Like after a logout the
+  // session is removed; a fresh client then asks for a new QR code (or pairing code).
+  async replaceRejectedSession(reason) {
+    if (this.stopped) return;
+    this.bot.log.warn('Session rejected by WhatsApp - removing it for a new login', { reason });
+
+    const authStrategy = this.bot.client?.authStrategy;
+    try {
+      await this.bot.shutdownClient();
+      await authStrategy?.logout();
+      if (!this.stopped) await this.bot.reconnect();
+    } catch (error) {
+      this.bot.log.error('Could not start a new login', { error: error.message });
+      this.bot.setStatus('logged_out', { reason: reason || 'auth_failed' });
+    }
+  }
+
+  scheduleReconnect(reason) {
+    if (this.stopped || this.reconnectTimer) return;
+
+    if (this.attempts >= this.maxAttempts) {
+      this.bot.log.error('Giving up reconnecting', { attempts: this.attempts });
+      metrics.reconnectsExhausted.inc();
+      this.bot.setStatus('failed', { reason, attempts: this.attempts });
+      return;
+    }
+
+    this.attempts += 1;
+    metrics.reconnects.inc();
+    const delay = this.backoffDelay(this.attempts);
+
+    this.bot.log.info('Reconnecting', { delayMs: delay, attempt: this.attempts, maxAttempts: this.maxAttempts, reason });
+    this.bot.setStatus('reconnecting', {
+      reason,
+      attempt: this.attempts,
+      max_attempts: this.maxAttempts,
+      next_retry_in_ms: delay
+    });
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      if (this.stopped) return;
+
+      try {
+        await this.bot.reconnect();
+      } catch (error) {
+        this.bot.log.error('Reconnect attempt failed', { attempt: this.attempts, error: error.message });
+        this.scheduleReconnect(error.message);
+      }
+    }, delay);
+    this.reconnectTimer.unref();
+  }
+
+  backoffDelay(attempts) {
+    const window = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempts - 1));
+    return Math.round(window / 2 + Math.random() * window / 2);
+  }
+
+  startHealthChecks() {
+    this.stopHealthChecks();
+    this.unhealthyChecks = 0;
+    this.healthTimer = setInterval(() => this.checkHealth(), this.healthIntervalMs);
+    this.healthTimer.unref();
+  }
+
+  stopHealthChecks() {
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+  }
+
+  async checkHealth() {
+    if (this.stopped || this.bot.getStatus() !== 'connected') return;
+
+    let state;
+    let timer;
+    try {
+      state = await Promise.race([
+        this.bot.client.getState(),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error('getState timed out')), 10000);
+        })
+      ]);
+    } catch (error) {
+      state = null;
+      this.bot.log.warn('Health check failed', { error: error.message });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (state === 'CONNECTED') {
+      this.unhealthyChecks = 0;
+      return;
+    }
+
+    if (LOGGED_OUT_REASONS.has(state)) {
+      this.stopHealthChecks();
+      await this.bot.handleDisconnected('LOGOUT');
+      return;
+    }
+
+    // One odd reading (e.g. OPENING while WhatsApp resyncs) is tolerated, two in a row is a dead client
+    this.unhealthyChecks += 1;
+    if (this.unhealthyChecks >= 2) {
+      this.bot.log.warn('Client unhealthy - reconnecting', { state });
+      this.stopHealthChecks();
+      this.bot.connected = false;
+      this.scheduleReconnect(`unhealthy_state_${state || 'unknown'}`);
+    }
+  }
+}
+
+BotSupervisor.LOGGED_OUT_REASONS = LOGGED_OUT_REASONS;
+
+module.exports = BotSupervisor;
@@ -0,0 +1,229 @@
+const metrics = require('./metrics');
+const { validateRules } = require('./link-filter');
+
+// Controlling the bot from WhatsApp: the account owner writes commands into their own
+// "message yourself" chat, allowlisted numbers into their direct chat with the account.
+// Commands start with a prefix ("!status"); every reply starts with REPLY_MARKER.
+//
+// Per-user settings (PUT /config/:userId `commands`):
+// { enabled: true, prefix: '!', allowedNumbers: ['491701234567'] }
+//
+// More commands can be added with register(name, { description, usage, run }), where
+// run({ bot, args, message, commands }) returns the reply text.
+
+const REPLY_MARKER = '🤖';
+const DEFAULT_PREFIX = process.env.COMMAND_PREFIX && !process.env.COMMAND_PREFIX.startsWith(REPLY_MARKER)
+  ? process.env.COMMAND_PREFIX
+  : '!';
+const MAX_LAST_LINKS = 20;
+
+function digitsOf(value) {
+  return String(value || '').replace(/@.*$/, '').replace(/\D/g, '');
+}
+
+function envNumbers() {
+  return (process.env.COMMAND_ALLOWED_NUMBERS || '').split(',').map(digitsOf).filter(Boolean);
+}
+
+// Returns a list of problems with a user's command settings
+function validateCommandSettings(settings) {
+  if (settings === undefined || settings === null) return [];
+  if (typeof settings !== 'object' || Array.isArray(settings)) return ['commands must be an object'];
+
+  const errors = [];
+  if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') {
+    errors.push('commands.enabled must be a boolean');
+  }
+  if (settings.prefix !== undefined && (typeof settings.prefix !== 'string' || !/^\S{1,3}$/.test(settings.prefix))) {
+    errors.push('commands.prefix must be 1-3 characters without spaces');
+  } else if (settings.prefix?.startsWith(REPLY_MARKER)) {
+    // Every reply would read as a command and be answered again
+    errors.push(`commands.prefix must not start with ${REPLY_MARKER}`);
+  }
+  if (settings.allowedNumbers !== undefined &&
+    (!Array.isArray(settings.allowedNumbers) || !settings.allowedNumbers.every(number => /^\d{7,15}$/.test(digitsOf(number))))) {
+    errors.push('commands.allowedNumbers must be an array of phone numbers in international format');
+  }
+
+  return errors;
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+const BUILTIN_COMMANDS = {
+  help: {
+    description: 'List the available commands',
+    run: ({ commands }) => ['Commands:', ...commands.list().map(command =>
+      `${commands.prefix}${command.usage || command.name} – ${command.description}`)].join('\n')
+  },
+
+  status: {
+    description: 'Connection, pause state and configuration',
+    run: ({ bot }) => {
+      const rules = bot.filterRules.domains || {};
+      const pending = bot.deliveryQueue.list(bot.userId, 'pending').length;
+      return [
+        `Status: ${bot.getStatus()}${bot.paused ? ' (paused)' : ''}`,
+        `Filters: ${plural(rules.allow?.length || 0, 'allowed domain')}, ${plural(rules.block?.length || 0, 'blocked domain')}`,
+        `Destinations: ${plural(bot.destinationsFor('link_detected').length, 'webhook')}, ${plural(bot.relay.rules.length, 'relay rule')}`,
+        `Pending deliveries: ${pending}`
+      ].join('\n');
+    }
+  },
+
+  pause: {
+    description: 'Stop dispatching links until resumed',
+    run: ({ bot }) => {
+      if (bot.paused) return 'Already paused.';
+      bot.setPaused(true);
+      return 'Paused. Links are not dispatched until you resume.';
+    }
+  },
+
+  resume: {
+    description: 'Dispatch links again',
+    run: ({ bot }) => {
+      if (!bot.paused) return 'Not paused.';
+      bot.setPaused(false);
+      return 'Resumed.';
+    }
+  },
+
+  filter: {
+    usage: 'filter add|remove|list [domain]',
+    description: 'Manage the allowed domains',
+    run: ({ bot, args, commands }) => {
+      const [action, domain] = args;
+      const allow = bot.filterRules.domains?.allow || [];
+
+      if (action === 'list' || !action) {
+        return allow.length > 0 ? `Allowed domains:\n${allow.join('\n')}` : 'No domain allowlist, every domain is allowed.';
+      }
+      if (!['add', 'remove'].includes(action) || !domain) {
+        return `Usage: ${commands.prefix}filter add|remove <domain>, ${commands.prefix}filter list`;
+      }
+
+      const pattern = domain.toLowerCase();
+      const next = action === 'add'
+        ? [...new Set([...allow, pattern])]
+        : allow.filter(item => item !== pattern);
+      if (next.length === allow.length) {
+        return action === 'add' ? `${pattern} is already allowed.` : `${pattern} is not in the allowlist.`;
+      }
+
+      const rules = { ...bot.filterRules, domains: { ...bot.filterRules.domains, allow: next } };
+      const errors = validateRules(rules);
+      if (errors.length > 0) return `Invalid domain: ${errors.join(', ')}`;
+
+      bot.updateFilters(rules);
+      return action === 'add' ? `Added ${pattern} to the allowed domains.` : `Removed ${pattern} from the allowed domains.`;
+    }
+  },
+
+  last: {
+    usage: 'last [n]',
+    description: `The most recent links (up to ${MAX_LAST_LINKS})`,
+    run: ({ bot, args }) => {
+      if (!bot.linkArchive?.enabled) return 'The link archive is disabled.';
+
+      const limit = Math.min(MAX_LAST_LINKS, Math.max(1, parseInt(args[0], 10) || 5));
+      const { links } = bot.linkArchive.search(bot.userId, { limit });
+      if (links.length === 0) return 'No links yet.';
+
+      return links.map(link => {
+        const where = link.chat.is_group && link.chat.name ? ` in ${link.chat.name}` : '';
+        return `• ${link.expanded_url || link.url}\n  ${link.sender.name || link.sender.phone || 'Unknown'}${where}`;
+      }).join('\n');
+    }
+  }
+};
+
+class ChatCommands {
+  constructor(bot, settings = {}) {
+    this.bot = bot;
+    this.commands = new Map();
+
+    for (const [name, command] of Object.entries(BUILTIN_COMMANDS)) {
+      this.register(name, command);
+    }
+    this.configure(settings);
+  }
+
+  // Apply a user's settings; callers validate them first
+  configure(settings) {
+    this.enabled = settings?.enabled ?? process.env.CHAT_COMMANDS !== 'false';
+    this.prefix = settings?.prefix || DEFAULT_PREFIX;
+    this.allowedNumbers = new Set((settings?.allowedNumbers || envNumbers()).map(digitsOf));
+  }
+
+  register(name, command) {
+    this.commands.set(name.toLowerCase(), { name: name.toLowerCase(), ...command });
+  }
+
+  list() {
+    return [...this.commands.values()];
+  }
+
+  // The chat to answer in if the message may carry commands: the owner's chat with
+  // themselves, or an allowlisted number's direct chat. Null for everything else.
+  replyChat(message) {
+    if (message.fromMe) {
+      const ownId = this.bot.client.info?.wid?._serialized;
+      return ownId && message.to === ownId ? message.to : null;
+    }
+
+    if (message.from.endsWith('@c.us') && this.allowedNumbers.has(digitsOf(message.from))) {
+      return message.from;
+    }
+    return null;
+  }
+
+  // Command messages are never scanned for links, whether or not they are executed
+  isCommand(message) {
+    return this.enabled && (message.body || '').trim().startsWith(this.prefix) && !!this.replyChat(message);
+  }
+
+  // Our own replies (they may list links), in the chats commands are answered in
+  isReply(message) {
+    if (!message.fromMe || !(message.body || '').startsWith(REPLY_MARKER)) return false;
+    return message.to === this.bot.client.info?.wid?._serialized || this.allowedNumbers.has(digitsOf(message.to));
+  }
+
+  async handle(message) {
+    const chatId = this.replyChat(message);
+    const [name = '', ...args] = message.body.trim().slice(this.prefix.length).split(/\s+/);
+    const command = this.commands.get(name.toLowerCase());
+
+    let reply;
+    let outcome = 'ok';
+    if (!command) {
+      outcome = 'unknown';
+      reply = `Unknown command "${name}". Send ${this.prefix}help for the list.`;
+    } else {
+      try {
+        reply = await command.run({ bot: this.bot, args, message, commands: this });
+      } catch (error) {
+        outcome = 'error';
+        this.bot.log.error('Chat command failed', { command: command.name, error });
+        reply = `${command.name} failed: ${error.message}`;
+      }
+    }
+
+    metrics.chatCommands.inc({ command: command ? command.name : 'unknown', outcome });
+    this.bot.log.info('Chat command', { command: name, outcome, from: message.fromMe ? 'owner' : digitsOf(message.from) });
+
+    if (!reply) return;
+    try {
+      await this.bot.messenger.sendText(chatId, `${REPLY_MARKER} ${reply}`, { replyTo: message.id._serialized });
+    } catch (error) {
+      this.bot.log.warn('Could not reply to chat command', { command: name, error: error.message });
+    }
+  }
+}
+
+ChatCommands.REPLY_MARKER = REPLY_MARKER;
+ChatCommands.validateCommandSettings = validateCommandSettings;
+
+module.exports = ChatCommands;
@@ -0,0 +1,180 @@
+const metrics = require('./metrics');
+const { compileRelays, relayAccepts, isTarget, renderRelay } = require('./relay-rules');
+
+// WhatsApp messages get unwieldy (and may be rejected) beyond this
+const MAX_MESSAGE_LENGTH = 4000;
+const MAX_SEND_ATTEMPTS = 3;
+
+// Posts the links a bot dispatches into other WhatsApp chats according to the user's
+// relay rules (see relay-rules.js). Messages go out one at a time, at least
+// RELAY_MIN_INTERVAL_MS apart and within the user's outbound rate limit; digest rules
+// collect links and post them as one message per interval. Queued messages and open
+// digests live in memory only.
+class ChatRelay {
+  constructor(bot, options = {}) {
+    this.bot = bot;
+    this.minIntervalMs = options.minIntervalMs || parseInt(process.env.RELAY_MIN_INTERVAL_MS, 10) || 3000;
+    this.queueMax = options.queueMax || parseInt(process.env.RELAY_QUEUE_MAX, 10) || 100;
+    this.retryDelayMs = options.retryDelayMs || 30000;
+
+    this.rules = [];
+    this.queue = []; // { relayId, target, text, attempts }
+    this.digests = new Map(); // relayId -> { entries: [text], timer }
+    this.timer = null;
+    this.sending = false;
+    this.lastSentAt = 0;
+
+    this.setRules(options.relays);
+  }
+
+  // Replace the rules; callers validate them first. Open digests of rules switched to
+  // instant mode are posted right away, those of removed rules are dropped.
+  setRules(relays) {
+    this.rules = compileRelays(relays);
+
+    for (const relayId of [...this.digests.keys()]) {
+      const rule = this.rules.find(item => item.id === relayId);
+      if (!rule || rule.mode !== 'digest') this.flushDigest(relayId);
+    }
+  }
+
+  // Whether a message was posted by the bot itself into a relay target; links in
+  // those are never relayed again, whichever rule they would match
+  isRelayedMessage(context) {
+    return !!context.fromMe && this.rules.some(rule => isTarget(rule, context.chatId));
+  }
+
+  // Called for every dispatched link; history backfills are not relayed
+  handleLink(link, context) {
+    if (context.backfill || this.isRelayedMessage(context)) return 0;
+
+    let relayed = 0;
+    for (const rule of this.rules) {
+      if (!relayAccepts(rule, link, context)) continue;
+
+      const text = renderRelay(rule, link, context);
+      if (rule.mode === 'digest') {
+        this.addToDigest(rule, text);
+      } else {
+        this.enqueue(rule.id, rule.target, text);
+      }
+      relayed += 1;
+    }
+
+    return relayed;
+  }
+
+  addToDigest(rule, text) {
+    let digest = this.digests.get(rule.id);
+    if (!digest) {
+      digest = { entries: [], timer: null };
+      digest.timer = setTimeout(() => this.flushDigest(rule.id), rule.digestIntervalMinutes * 60 * 1000);
+      digest.timer.unref();
+      this.digests.set(rule.id, digest);
+    }
+
+    digest.entries.push(text);
+  }
+
+  // One message for every link collected since the digest opened, split if it gets too long
+  flushDigest(relayId) {
+    const digest = this.digests.get(relayId);
+    if (!digest) return;
+
+    clearTimeout(digest.timer);
+    this.digests.delete(relayId);
+
+    const rule = this.rules.find(item => item.id === relayId);
+    if (!rule || digest.entries.length === 0) return;
+
+    const count = digest.entries.length;
+    let text = `📬 ${count} new link${count === 1 ? '' : 's'}`;
+    for (const entry of digest.entries) {
+      if (text.length + entry.length + 2 > MAX_MESSAGE_LENGTH) {
+        this.enqueue(relayId, rule.target, text);
+        text = '';
+      }
+      text = text ? `${text}\n\n${entry}` : entry;
+    }
+    this.enqueue(relayId, rule.target, text);
+  }
+
+  enqueue(relayId, target, text) {
+    this.queue.push({ relayId, target, text: text.slice(0, MAX_MESSAGE_LENGTH), attempts: 0 });
+
+    // A long outage shouldn't pile up an unbounded backlog; the oldest messages go first
+    while (this.queue.length > this.queueMax) {
+      const dropped = this.queue.shift();
+      metrics.relayedMessages.inc({ outcome: 'dropped' });
+      this.bot.log.warn('Relay queue full, dropping message', { relayId: dropped.relayId, target: dropped.target });
+    }
+
+    this.schedule(0);
+  }
+
+  schedule(delayMs) {
+    if (this.sending || this.queue.length === 0) return;
+
+    const wait = Math.max(delayMs, this.lastSentAt + this.minIntervalMs - Date.now(), 0);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.sendNext(), wait);
+    this.timer.unref();
+  }
+
+  async sendNext() {
+    if (this.sending || this.queue.length === 0) return;
+
+    // Wait for the session to come back rather than burning attempts
+    if (!this.bot.isConnected()) return this.schedule(this.retryDelayMs);
+
+    this.sending = true;
+    const message = this.queue[0];
+    let delayMs = 0;
+
+    try {
+      await this.bot.messenger.sendText(message.target, message.text);
+      this.queue.shift();
+      metrics.relayedMessages.inc({ outcome: 'sent' });
+      this.bot.log.info('Relayed link message', { relayId: message.relayId, target: message.target });
+    } catch (error) {
+      if (error.statusCode === 429) {
+        // Out of outbound budget (shared with the send API); not the message's fault
+        delayMs = error.retryAfterMs || this.retryDelayMs;
+      } else if (error.statusCode === 409) {
+        delayMs = this.retryDelayMs;
+      } else if (++message.attempts >= MAX_SEND_ATTEMPTS || error.statusCode === 400) {
+        this.queue.shift();
+        metrics.relayedMessages.inc({ outcome: 'failed' });
+        this.bot.log.error('Relaying link message failed', { relayId: message.relayId, target: message.target, error });
+      } else {
+        delayMs = this.retryDelayMs;
+      }
+    } finally {
+      this.lastSentAt = Date.now();
+      this.sending = false;
+      this.schedule(delayMs);
+    }
+  }
+
+  // Queued messages and digest contents per rule, for the API
+  pending() {
+    const pending = {};
+    for (const rule of this.rules) {
+      pending[rule.id] = {
+        queued: this.queue.filter(message => message.relayId === rule.id).length,
+        digest: this.digests.get(rule.id)?.entries.length || 0
+      };
+    }
+    return pending;
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    for (const digest of this.digests.values()) clearTimeout(digest.timer);
+    this.digests.clear();
+    this.queue = [];
+  }
+}
+
+module.exports = ChatRelay;
@@ -0,0 +1,373 @@
+const os = require('os');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { STATUS_CODES } = require('http');
+const axios = require('axios');
+const EventEmitter = require('events');
+const { Pool } = require('pg');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'cluster' });
+
+// Marks a request another instance already routed, so it is never forwarded twice:
+// "<instance id>:<timestamp>:<HMAC>", signed with the cluster secret
+const FORWARDED_HEADER = 'x-cluster-forwarded-by';
+const FORWARD_MAX_AGE_MS = 60000;
+// Headers of a WebSocket handshake, passed on when forwarding an upgrade
+const UPGRADE_HEADERS = ['connection', 'upgrade', 'sec-websocket-key', 'sec-websocket-version', 'sec-websocket-extensions', 'sec-websocket-protocol'];
+
+// Request headers passed on when forwarding; everything else is connection specific
+const FORWARDED_REQUEST_HEADERS = ['authorization', 'x-api-key', 'content-type', 'accept', 'last-event-id', 'x-request-id'];
+const HOP_BY_HOP_HEADERS = new Set(['connection', 'keep-alive', 'transfer-encoding', 'content-length']);
+
+// Shards bots across service instances through leases in Postgres (CLUSTER_DATABASE_URL).
+// An instance runs a bot only while it holds the user's lease and renews it every few
+// seconds; a lease that isn't renewed expires and another instance takes the bot over.
+// The lease row also carries the bot's config, so takeovers don't depend on local files.
+// Without CLUSTER_DATABASE_URL the coordinator is disabled and this instance owns everything.
+class ClusterCoordinator extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const connectionString = options.connectionString || process.env.CLUSTER_DATABASE_URL;
+
+    this.enabled = !!(options.pool || connectionString);
+    this.instanceId = options.instanceId || process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+    this.instanceUrl = (options.instanceUrl || process.env.INSTANCE_URL || `http://${os.hostname()}:${options.port || 3000}`).replace(/\/$/, '');
+    this.leaseTtlMs = options.leaseTtlMs || parseInt(process.env.CLUSTER_LEASE_TTL_MS, 10) || 30000;
+    this.renewIntervalMs = options.renewIntervalMs || Math.round(this.leaseTtlMs / 3);
+    this.maxBots = options.maxBots ?? (parseInt(process.env.CLUSTER_MAX_BOTS_PER_INSTANCE, 10) || 0); // 0 = no limit
+    this.forwardTimeoutMs = options.forwardTimeoutMs || 30000;
+    this.capacityCheck = options.capacityCheck || (() => true); // local resource limits on top of maxBots
+
+    this.pool = this.enabled ? (options.pool || new Pool({ connectionString })) : null;
+    this.owned = new Set();
+    this.timer = null;
+    // Shared by all instances through the database; signs forwarded requests
+    this.secret = options.secret || null;
+    this.lastRenewedAt = Date.now();
+  }
+
+  async start() {
+    if (!this.enabled) return;
+
+    await this.pool.query(`
+      CREATE TABLE IF NOT EXISTS cluster_instances (
+        instance_id TEXT PRIMARY KEY,
+        url TEXT NOT NULL,
+        bots INTEGER NOT NULL DEFAULT 0,
+        max_bots INTEGER NOT NULL DEFAULT 0,
+        started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        heartbeat_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+      CREATE TABLE IF NOT EXISTS bot_leases (
+        user_id TEXT PRIMARY KEY,
+        instance_id TEXT NOT NULL,
+        config JSONB NOT NULL DEFAULT '{}',
+        status TEXT,
+        acquired_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        expires_at TIMESTAMPTZ NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS cluster_settings (
+        name TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+    `);
+
+    // The first instance generates the secret, every later one reads it
+    await this.pool.query(
+      `INSERT INTO cluster_settings (name, value) VALUES ('forward_secret', $1) ON CONFLICT (name) DO NOTHING`,
+      [crypto.randomBytes(32).toString('hex')]
+    );
+    const settings = await this.pool.query(`SELECT value FROM cluster_settings WHERE name = 'forward_secret'`);
+    this.secret = this.secret || settings.rows[0].value;
+
+    // A previous run with the same INSTANCE_ID may have left leases behind; we run nothing yet
+    await this.pool.query('UPDATE bot_leases SET expires_at = NOW() WHERE instance_id = $1', [this.instanceId]);
+    await this.heartbeat();
+    this.lastRenewedAt = Date.now();
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => {
+        log.error('Cluster lease renewal failed', { error: error.message });
+        this.dropExpiredLeases();
+      });
+    }, this.renewIntervalMs);
+    this.timer.unref();
+
+    log.info('Cluster mode', { instanceId: this.instanceId, instanceUrl: this.instanceUrl, leaseTtlMs: this.leaseTtlMs });
+  }
+
+  // Expire our leases instead of deleting them so the bots (and their config) are taken over right away
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (!this.enabled) return;
+
+    await this.pool.query('UPDATE bot_leases SET expires_at = NOW() WHERE instance_id = $1', [this.instanceId]);
+    await this.pool.query('DELETE FROM cluster_instances WHERE instance_id = $1', [this.instanceId]);
+    this.owned.clear();
+  }
+
+  async tick() {
+    await this.renew();
+    await this.heartbeat();
+    await this.takeOverOrphans();
+  }
+
+  // While renewals fail our leases run out and other instances take the bots over. Stop
+  // them here by then, so two browsers never drive the same WhatsApp session.
+  dropExpiredLeases() {
+    if (this.owned.size === 0 || Date.now() - this.lastRenewedAt < this.leaseTtlMs - this.renewIntervalMs) return;
+
+    log.warn('Leases not renewed in time - stopping local bots', { sinceMs: Date.now() - this.lastRenewedAt, bots: this.owned.size });
+    for (const userId of [...this.owned]) {
+      this.owned.delete(userId);
+      this.emit('lease_lost', userId);
+    }
+  }
+
+  hasCapacity() {
+    return (!this.maxBots || this.owned.size < this.maxBots) && this.capacityCheck();
+  }
+
+  // Take or refresh the lease for a user. Succeeds when the user is unowned, its lease
+  // expired, or we already own it. `config` replaces the stored bot config when given.
+  async claim(userId, config = null) {
+    if (!this.enabled) return true;
+
+    const result = await this.pool.query(`
+      INSERT INTO bot_leases (user_id, instance_id, config, expires_at)
+      VALUES ($1, $2, COALESCE($3::jsonb, '{}'::jsonb), NOW() + $4 * INTERVAL '1 millisecond')
+      ON CONFLICT (user_id) DO UPDATE SET
+        instance_id = EXCLUDED.instance_id,
+        config = COALESCE($3::jsonb, bot_leases.config),
+        expires_at = EXCLUDED.expires_at,
+        status = CASE WHEN bot_leases.instance_id = EXCLUDED.instance_id THEN bot_leases.status ELSE NULL END,
+        acquired_at = CASE WHEN bot_leases.instance_id = EXCLUDED.instance_id THEN bot_leases.acquired_at ELSE NOW() END
+      WHERE bot_leases.instance_id = EXCLUDED.instance_id OR bot_leases.expires_at < NOW()
+      RETURNING user_id
+    `, [userId, this.instanceId, config && JSON.stringify(config), this.leaseTtlMs]);
+
+    const claimed = result.rowCount > 0;
+    if (claimed) this.owned.add(userId);
+    return claimed;
+  }
+
+  // Give a user up for good (the bot was stopped); also clears a stale lease held by a dead instance
+  async release(userId) {
+    this.owned.delete(userId);
+    if (!this.enabled) return;
+
+    await this.pool.query(
+      'DELETE FROM bot_leases WHERE user_id = $1 AND (instance_id = $2 OR expires_at < NOW())',
+      [userId, this.instanceId]
+    );
+  }
+
+  // The live instance holding a user's lease, or null when nobody runs the bot
+  async owner(userId) {
+    if (!this.enabled) return null;
+
+    const result = await this.pool.query(`
+      SELECT l.instance_id, i.url
+      FROM bot_leases l JOIN cluster_instances i ON i.instance_id = l.instance_id
+      WHERE l.user_id = $1 AND l.expires_at > NOW()
+    `, [userId]);
+
+    const row = result.rows[0];
+    return row ? { instanceId: row.instance_id, url: row.url } : null;
+  }
+
+  // Least loaded live instance that still has room for another bot
+  async pickInstance() {
+    if (!this.enabled) return null;
+
+    const result = await this.pool.query(`
+      SELECT instance_id, url FROM cluster_instances
+      WHERE heartbeat_at > NOW() - $1 * INTERVAL '1 millisecond'
+        AND (max_bots = 0 OR bots < max_bots)
+      ORDER BY bots ASC, heartbeat_at DESC
+      LIMIT 1
+    `, [this.leaseTtlMs]);
+
+    const row = result.rows[0];
+    return row ? { instanceId: row.instance_id, url: row.url } : null;
+  }
+
+  async reportStatus(userId, status) {
+    if (!this.enabled || !this.owned.has(userId)) return;
+
+    await this.pool.query(
+      'UPDATE bot_leases SET status = $3 WHERE user_id = $1 AND instance_id = $2',
+      [userId, this.instanceId, status]
+    );
+  }
+
+  async renew() {
+    if (this.owned.size === 0) {
+      this.lastRenewedAt = Date.now();
+      return;
+    }
+
+    const startedAt = Date.now();
+    const owned = [...this.owned];
+    const result = await this.pool.query(`
+      UPDATE bot_leases SET expires_at = NOW() + $3 * INTERVAL '1 millisecond'
+      WHERE instance_id = $1 AND user_id = ANY($2)
+      RETURNING user_id
+    `, [this.instanceId, owned, this.leaseTtlMs]);
+    this.lastRenewedAt = startedAt;
+
+    // Leases we couldn't renew were taken over while we weren't looking (e.g. a database outage)
+    const renewed = new Set(result.rows.map(row => row.user_id));
+    for (const userId of owned) {
+      if (renewed.has(userId)) continue;
+
+      log.warn('Lost lease - another instance owns the bot now', { userId });
+      this.owned.delete(userId);
+      this.emit('lease_lost', userId);
+    }
+  }
+
+  async heartbeat() {
+    await this.pool.query(`
+      INSERT INTO cluster_instances (instance_id, url, bots, max_bots, heartbeat_at)
+      VALUES ($1, $2, $3, $4, NOW())
+      ON CONFLICT (instance_id) DO UPDATE SET
+        url = EXCLUDED.url, bots = EXCLUDED.bots, max_bots = EXCLUDED.max_bots, heartbeat_at = NOW()
+    `, [this.instanceId, this.instanceUrl, this.owned.size, this.maxBots]);
+  }
+
+  // Claim one expired lease per tick so takeovers don't launch a burst of Chromium processes
+  async takeOverOrphans() {
+    if (!this.hasCapacity()) return;
+
+    const result = await this.pool.query(
+      'SELECT user_id, config FROM bot_leases WHERE expires_at < NOW() ORDER BY expires_at LIMIT 1'
+    );
+
+    for (const row of result.rows) {
+      if (!(await this.claim(row.user_id))) continue;
+
+      log.info('Taking over bot', { userId: row.user_id });
+      this.emit('takeover', { userId: row.user_id, config: row.config });
+    }
+  }
+
+  // Cluster-wide view for GET /
+  async clusterStatus() {
+    const [instances, bots] = await Promise.all([
+      this.pool.query(`
+        SELECT instance_id, url, bots, max_bots, started_at, heartbeat_at FROM cluster_instances
+        WHERE heartbeat_at > NOW() - $1 * INTERVAL '1 millisecond'
+        ORDER BY instance_id
+      `, [this.leaseTtlMs]),
+      this.pool.query(`
+        SELECT user_id, instance_id, status, acquired_at, expires_at, expires_at > NOW() AS active
+        FROM bot_leases ORDER BY user_id
+      `)
+    ]);
+
+    return { instances: instances.rows, bots: bots.rows };
+  }
+
+  forwardSignature(instanceId, timestamp, method, url) {
+    return crypto.createHmac('sha256', this.secret).update(`${instanceId}\n${timestamp}\n${method}\n${url}`).digest('hex');
+  }
+
+  forwardedMarker(method, url) {
+    const timestamp = Date.now();
+    return `${this.instanceId}:${timestamp}:${this.forwardSignature(this.instanceId, timestamp, method, url)}`;
+  }
+
+  // Whether another instance of the cluster routed this request here. Clients can send the
+  // header too, so it only counts with a valid, recent signature.
+  isForwarded(req) {
+    const value = req.headers[FORWARDED_HEADER];
+    if (!value || !this.secret) return false;
+
+    const parts = String(value).split(':');
+    const signature = parts.pop();
+    const timestamp = parts.pop();
+    if (!(Math.abs(Date.now() - Number(timestamp)) <= FORWARD_MAX_AGE_MS)) return false;
+
+    const expected = Buffer.from(this.forwardSignature(parts.join(':'), timestamp, req.method, req.originalUrl || req.url));
+    const actual = Buffer.from(signature || '');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  // Proxy a request to the instance that owns the user; responses (including SSE) are streamed back
+  async forward(req, res, target) {
+    const headers = { [FORWARDED_HEADER]: this.forwardedMarker(req.method, req.originalUrl) };
+    for (const name of FORWARDED_REQUEST_HEADERS) {
+      if (req.headers[name]) headers[name] = req.headers[name];
+    }
+
+    const response = await axios({
+      method: req.method,
+      url: `${target.url}${req.originalUrl}`,
+      headers,
+      data: ['GET', 'HEAD', 'DELETE'].includes(req.method) ? undefined : req.body,
+      responseType: 'stream',
+      timeout: this.forwardTimeoutMs,
+      validateStatus: () => true
+    });
+
+    res.status(response.status);
+    for (const [name, value] of Object.entries(response.headers)) {
+      if (!HOP_BY_HOP_HEADERS.has(name)) res.setHeader(name, value);
+    }
+    res.setHeader('X-Served-By', target.instanceId);
+
+    response.data.pipe(res);
+    req.on('close', () => response.data.destroy());
+  }
+
+  // Proxy a WebSocket upgrade (the /events stream) to the owning instance and splice the sockets
+  forwardUpgrade(req, socket, head, target) {
+    const headers = { [FORWARDED_HEADER]: this.forwardedMarker(req.method, req.url) };
+    for (const name of [...FORWARDED_REQUEST_HEADERS, ...UPGRADE_HEADERS]) {
+      if (req.headers[name]) headers[name] = req.headers[name];
+    }
+
+    const url = new URL(req.url, target.url);
+    const upstreamRequest = (url.protocol === 'https:' ? https : http).request(url, { method: 'GET', headers, timeout: this.forwardTimeoutMs });
+    const refuse = (status) => socket.end(`HTTP/1.1 ${status} ${STATUS_CODES[status]}\r\nConnection: close\r\n\r\n`);
+
+    upstreamRequest.on('upgrade', (response, upstream, upstreamHead) => {
+      upstreamRequest.setTimeout(0);
+      const lines = ['HTTP/1.1 101 Switching Protocols'];
+      for (let i = 0; i < response.rawHeaders.length; i += 2) {
+        lines.push(`${response.rawHeaders[i]}: ${response.rawHeaders[i + 1]}`);
+      }
+      lines.push(`X-Served-By: ${target.instanceId}`);
+      socket.write(`${lines.join('\r\n')}\r\n\r\n`);
+
+      if (upstreamHead.length > 0) socket.write(upstreamHead);
+      if (head.length > 0) upstream.write(head);
+      upstream.pipe(socket);
+      socket.pipe(upstream);
+      upstream.on('error', () => socket.destroy());
+      socket.on('error', () => upstream.destroy());
+      upstream.on('close', () => socket.destroy());
+      socket.on('close', () => upstream.destroy());
+    });
+
+    // The owner answered without upgrading (e.g. 401); pass the status on
+    upstreamRequest.on('response', response => {
+      response.resume();
+      refuse(response.statusCode);
+    });
+    upstreamRequest.on('timeout', () => upstreamRequest.destroy(new Error('timeout')));
+    upstreamRequest.on('error', error => {
+      log.error('Forwarding event stream failed', { instanceId: target.instanceId, error: error.message });
+      refuse(502);
+    });
+    upstreamRequest.end();
+  }
+}
+
+ClusterCoordinator.FORWARDED_HEADER = FORWARDED_HEADER;
+
+module.exports = ClusterCoordinator;
@@ -0,0 +1,156 @@
+const { dataPath, readJSON, writeJSON } = require('./json-store');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'dedup-store' });
+
+// Bounded, persisted record of recently seen message IDs and canonical URLs per user.
+// Entries expire after the TTL window; each user keeps at most `maxEntries` of each kind.
+class DedupStore {
+  constructor(options = {}) {
+    this.file = options.file || dataPath('dedup.json');
+    this.ttlMs = options.ttlMs || (parseInt(process.env.DEDUP_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+    this.maxEntries = options.maxEntries || parseInt(process.env.DEDUP_MAX_ENTRIES, 10) || 5000;
+    this.maxChats = options.maxChats || 20;
+    this.flushDelayMs = options.flushDelayMs || 1000;
+
+    this.users = readJSON(this.file, {});
+    this.flushTimer = null;
+  }
+
+  userState(userId) {
+    if (!this.users[userId]) {
+      this.users[userId] = { messages: {}, links: {} };
+    }
+    return this.users[userId];
+  }
+
+  // Returns true if the message was already seen, otherwise marks it as seen
+  seenMessage(userId, messageId) {
+    const state = this.userState(userId);
+    const seenAt = state.messages[messageId];
+
+    if (seenAt && Date.now() - seenAt < this.ttlMs) return true;
+
+    state.messages[messageId] = Date.now();
+    this.prune(state.messages, at => at);
+    this.scheduleFlush();
+
+    return false;
+  }
+
+  // Record a sighting of a canonical URL. The first sighting within the TTL window
+  // is not a duplicate; later ones bump the hit count and collect the chats.
+  recordLink(userId, canonical, sighting = {}) {
+    const state = this.userState(userId);
+    const now = Date.now();
+    const existing = state.links[canonical];
+
+    if (existing && now - existing.firstSeenAt < this.ttlMs) {
+      existing.hits += 1;
+      existing.lastSeenAt = now;
+
+      const knownChat = existing.chats.some(chat => chat.chatId === sighting.chatId);
+      if (!knownChat && existing.chats.length < this.maxChats) {
+        existing.chats.push({ ...sighting, seenAt: new Date(now).toISOString() });
+      }
+
+      this.scheduleFlush();
+      return { duplicate: true, entry: existing };
+    }
+
+    const entry = {
+      firstSeenAt: now,
+      lastSeenAt: now,
+      hits: 1,
+      chats: [{ ...sighting, seenAt: new Date(now).toISOString() }]
+    };
+
+    // Delete first so a re-seen expired URL moves to the end of the insertion order
+    delete state.links[canonical];
+    state.links[canonical] = entry;
+    this.prune(state.links, item => item.firstSeenAt);
+    this.scheduleFlush();
+
+    return { duplicate: false, entry };
+  }
+
+  getLink(userId, canonical) {
+    return this.users[userId]?.links[canonical] || null;
+  }
+
+  // A link held back for aggregation ({ link, context, matchedRule, dueAt }) is kept with its
+  // entry, so it survives a restart instead of only living in a timer
+  holdLink(userId, canonical, held) {
+    const entry = this.getLink(userId, canonical);
+    if (!entry) return;
+
+    entry.held = held;
+    this.scheduleFlush();
+  }
+
+  // Removes and returns the held link, null if it was already dispatched
+  takeHeldLink(userId, canonical) {
+    const entry = this.getLink(userId, canonical);
+    if (!entry?.held) return null;
+
+    const { held } = entry;
+    delete entry.held;
+    this.scheduleFlush();
+    return held;
+  }
+
+  heldLinks(userId) {
+    return Object.entries(this.users[userId]?.links || {})
+      .filter(([, entry]) => entry.held)
+      .map(([canonical, entry]) => ({ canonical, dueAt: entry.held.dueAt }));
+  }
+
+  stats(userId) {
+    const state = this.users[userId];
+    if (!state) return { messages: 0, links: 0, duplicate_hits: 0 };
+
+    const links = Object.values(state.links);
+    return {
+      messages: Object.keys(state.messages).length,
+      links: links.length,
+      duplicate_hits: links.reduce((sum, link) => sum + link.hits - 1, 0)
+    };
+  }
+
+  // Drop expired entries, then the oldest ones beyond the size limit (objects keep insertion order)
+  prune(map, timestampOf) {
+    const cutoff = Date.now() - this.ttlMs;
+    const keys = Object.keys(map);
+
+    for (const key of keys) {
+      if (timestampOf(map[key]) < cutoff) delete map[key];
+    }
+
+    // Held links are kept until they are dispatched, even beyond the size limit
+    const remaining = Object.keys(map).filter(key => !map[key].held);
+    for (const key of remaining.slice(0, Math.max(0, remaining.length - this.maxEntries))) {
+      delete map[key];
+    }
+  }
+
+  // Writes are batched; every message would otherwise rewrite the whole file
+  scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => this.flush(), this.flushDelayMs);
+    this.flushTimer.unref();
+  }
+
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    try {
+      writeJSON(this.file, this.users);
+    } catch (error) {
+      log.error('Failed to persist dedup store', { error: error.message });
+    }
+  }
+}
+
+module.exports = DedupStore;
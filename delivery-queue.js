@@ -0,0 +1,312 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { dataPath, readJSON, writeJSON } = require('./json-store');
+const metrics = require('./metrics');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'delivery-queue' });
+
+// 4xx responses that are worth retrying; every other 4xx goes straight to the dead-letter store
+const RETRYABLE_STATUS = new Set([408, 425, 429]);
+
+// Headers kept with an entry; credentials are added by the authorizer on every attempt instead
+const STORED_HEADERS = ['Content-Type', 'User-Agent'];
+
+// Entries queued before webhook destinations existed only carry their channel
+function destinationOf(entry) {
+  return entry.destinationId || entry.channel;
+}
+
+// Correlation fields of an entry for log lines
+function deliveryFields(entry) {
+  return { deliveryId: entry.id, userId: entry.userId, destinationId: destinationOf(entry), type: entry.type };
+}
+
+// Deliveries to one destination go out one at a time, in order
+function laneOf(entry) {
+  return `${entry.userId}:${destinationOf(entry)}`;
+}
+
+function storedHeaders(headers = {}) {
+  return Object.fromEntries(Object.entries(headers).filter(([name]) => STORED_HEADERS.includes(name)));
+}
+
+class DeliveryQueue {
+  constructor(options = {}) {
+    this.queueFile = options.queueFile || dataPath('delivery-queue.json');
+    this.deadLetterFile = options.deadLetterFile || dataPath('dead-letter.json');
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+    this.baseDelayMs = options.baseDelayMs || parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 2000;
+    this.maxDelayMs = options.maxDelayMs || parseInt(process.env.WEBHOOK_RETRY_MAX_MS, 10) || 10 * 60 * 1000;
+    this.historyLimit = options.historyLimit || parseInt(process.env.DELIVERY_HISTORY_LIMIT, 10) || 100;
+    this.deadLetterLimit = options.deadLetterLimit || parseInt(process.env.DEAD_LETTER_LIMIT, 10) || 500;
+    // Destinations served at once; a receiver that never answers only holds up its own lane
+    this.concurrency = options.concurrency || parseInt(process.env.WEBHOOK_CONCURRENCY, 10) || 10;
+    // Optional (entry, rawBody) => headers hook, called on every attempt so signatures carry a fresh timestamp
+    this.signer = options.signer || null;
+    // Optional (entry) => { url, headers } hook for the destination's credentials, so they never reach
+    // the queue file: `url` replaces the entry's (redacted) URL, `headers` are added to its own
+    this.authorizer = options.authorizer || null;
+    // Optional (entry) => void hook, called once an entry is delivered or dead-lettered
+    this.onOutcome = options.onOutcome || null;
+
+    this.entries = readJSON(this.queueFile, []);
+    this.deadLetters = readJSON(this.deadLetterFile, []);
+    this.timer = null;
+    this.active = new Set(); // lanes with a delivery in flight
+    this.stopped = false;
+
+    // Anything that was mid-flight when the process died gets another go
+    for (const entry of this.entries) {
+      if (entry.status === 'in_flight') entry.status = 'pending';
+    }
+  }
+
+  start() {
+    this.stopped = false;
+    const pending = this.entries.filter(entry => entry.status === 'pending').length;
+    if (pending > 0) {
+      log.info('Resuming pending webhook deliveries', { pending });
+    }
+    this.schedule();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // `destinationId` is the webhook destination the entry is for ('webhook' / 'callback' for the implicit ones)
+  // `linkId` ties a link_detected delivery to its row in the link archive
+  // `url` and `headers` must not carry credentials (only Content-Type and User-Agent are kept), those
+  // come from the authorizer
+  enqueue({ userId, channel, destinationId = channel, type, url, payload, headers = {}, timeout = 10000, linkId = null }) {
+    const entry = {
+      id: crypto.randomUUID(),
+      userId,
+      channel,
+      destinationId,
+      type,
+      url,
+      payload,
+      headers: storedHeaders(headers),
+      timeout,
+      linkId,
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: Date.now(),
+      deliveredAt: null
+    };
+
+    this.entries.push(entry);
+    this.persistQueue();
+    this.schedule();
+
+    return entry;
+  }
+
+  list(userId, status, destinationId) {
+    return [...this.entries, ...this.deadLetters]
+      .filter(entry => entry.userId === userId)
+      .filter(entry => !status || entry.status === status)
+      .filter(entry => !destinationId || destinationOf(entry) === destinationId)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  get(id) {
+    return this.entries.find(entry => entry.id === id) ||
+      this.deadLetters.find(entry => entry.id === id) ||
+      null;
+  }
+
+  // Put a dead or delivered event back on the queue with a fresh retry budget
+  replay(id) {
+    const deadIndex = this.deadLetters.findIndex(entry => entry.id === id);
+    let entry;
+
+    if (deadIndex !== -1) {
+      [entry] = this.deadLetters.splice(deadIndex, 1);
+      this.entries.push(entry);
+      this.persistDeadLetters();
+    } else {
+      entry = this.entries.find(item => item.id === id);
+    }
+
+    if (!entry) return null;
+    if (entry.status === 'in_flight') return entry;
+
+    entry.status = 'pending';
+    entry.attempts = 0;
+    entry.lastError = null;
+    entry.nextAttemptAt = Date.now();
+    entry.deliveredAt = null;
+    entry.replayedAt = new Date().toISOString();
+
+    this.persistQueue();
+    this.schedule();
+
+    return entry;
+  }
+
+  // Drop pending deliveries to a destination that was removed; returns how many
+  discardPending(userId, destinationId) {
+    const before = this.entries.length;
+    this.entries = this.entries.filter(entry =>
+      entry.userId !== userId || destinationOf(entry) !== destinationId || entry.status !== 'pending'
+    );
+
+    const discarded = before - this.entries.length;
+    if (discarded > 0) this.persistQueue();
+    return discarded;
+  }
+
+  // Start every due delivery whose lane is free, up to `concurrency` at once, and wake up again
+  // for the next one. Runs again whenever a delivery finishes.
+  schedule() {
+    if (this.stopped) return;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const now = Date.now();
+    let nextAt = Infinity;
+    for (const entry of this.entries) {
+      if (this.active.size >= this.concurrency) return;
+      if (entry.status !== 'pending' || this.active.has(laneOf(entry))) continue;
+
+      if (entry.nextAttemptAt > now) {
+        nextAt = Math.min(nextAt, entry.nextAttemptAt);
+        continue;
+      }
+
+      const lane = laneOf(entry);
+      this.active.add(lane);
+      this.attempt(entry)
+        .catch(error => log.error('Delivery attempt failed', { ...deliveryFields(entry), error: error.message }))
+        .finally(() => {
+          this.active.delete(lane);
+          this.schedule();
+        });
+    }
+
+    if (nextAt === Infinity) return;
+    this.timer = setTimeout(() => this.schedule(), nextAt - now);
+    this.timer.unref();
+  }
+
+  async attempt(entry) {
+    entry.status = 'in_flight';
+    entry.attempts += 1;
+    this.persistQueue();
+
+    const endTimer = metrics.deliveryDuration.startTimer({ channel: entry.channel });
+
+    try {
+      // Serialize once so the signature covers exactly the bytes we send; string payloads
+      // (templated sinks) already are the body
+      const rawBody = typeof entry.payload === 'string' ? entry.payload : JSON.stringify(entry.payload);
+      const credentials = this.authorizer ? this.authorizer(entry) : {};
+      const headers = {
+        ...entry.headers,
+        ...credentials.headers,
+        ...(this.signer ? this.signer(entry, rawBody) : {})
+      };
+
+      await axios.post(credentials.url || entry.url, rawBody, {
+        timeout: entry.timeout,
+        headers
+      });
+
+      endTimer();
+      metrics.deliveries.inc({ channel: entry.channel, outcome: 'delivered' });
+
+      entry.status = 'delivered';
+      entry.deliveredAt = new Date().toISOString();
+      entry.lastError = null;
+      this.pruneHistory(entry.userId, destinationOf(entry));
+      this.persistQueue();
+      this.reportOutcome(entry);
+    } catch (error) {
+      endTimer();
+      const statusCode = error.response?.status;
+      entry.lastError = statusCode ? `HTTP ${statusCode}: ${error.message}` : error.message;
+
+      const retryable = !statusCode || statusCode >= 500 || RETRYABLE_STATUS.has(statusCode);
+      if (!retryable || entry.attempts >= this.maxAttempts) {
+        log.error('Delivery moved to dead-letter store', { ...deliveryFields(entry), attempts: entry.attempts, error: entry.lastError });
+        metrics.deliveries.inc({ channel: entry.channel, outcome: 'dead' });
+        this.moveToDeadLetter(entry);
+        this.reportOutcome(entry);
+        return;
+      }
+
+      const delay = this.backoffDelay(entry.attempts);
+      entry.status = 'pending';
+      entry.nextAttemptAt = Date.now() + delay;
+      this.persistQueue();
+      metrics.deliveries.inc({ channel: entry.channel, outcome: 'retry' });
+
+      log.warn('Delivery failed, retrying', { ...deliveryFields(entry), attempts: entry.attempts, retryInMs: delay, error: entry.lastError });
+    }
+  }
+
+  reportOutcome(entry) {
+    if (!this.onOutcome) return;
+
+    try {
+      this.onOutcome(entry);
+    } catch (error) {
+      log.error('Delivery outcome hook failed', { ...deliveryFields(entry), error: error.message });
+    }
+  }
+
+  // Exponential backoff with jitter: half the window fixed, half random
+  backoffDelay(attempts) {
+    const window = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempts - 1));
+    return Math.round(window / 2 + Math.random() * window / 2);
+  }
+
+  moveToDeadLetter(entry) {
+    entry.status = 'dead';
+    entry.failedAt = new Date().toISOString();
+
+    this.entries = this.entries.filter(item => item.id !== entry.id);
+    this.deadLetters.push(entry);
+    this.pruneDeadLetters(entry.userId, destinationOf(entry));
+
+    this.persistQueue();
+    this.persistDeadLetters();
+  }
+
+  // Keep only the most recent delivered events per destination as an inspection log
+  pruneHistory(userId, destinationId) {
+    const delivered = this.entries.filter(entry =>
+      entry.userId === userId && destinationOf(entry) === destinationId && entry.status === 'delivered'
+    );
+    if (delivered.length <= this.historyLimit) return;
+
+    const drop = new Set(delivered.slice(0, delivered.length - this.historyLimit).map(entry => entry.id));
+    this.entries = this.entries.filter(entry => !drop.has(entry.id));
+  }
+
+  // The dead-letter store keeps the most recent failures per destination, like pruneHistory
+  pruneDeadLetters(userId, destinationId) {
+    const dead = this.deadLetters.filter(entry => entry.userId === userId && destinationOf(entry) === destinationId);
+    if (dead.length <= this.deadLetterLimit) return;
+
+    const drop = new Set(dead.slice(0, dead.length - this.deadLetterLimit).map(entry => entry.id));
+    this.deadLetters = this.deadLetters.filter(entry => !drop.has(entry.id));
+  }
+
+  persistQueue() {
+    writeJSON(this.queueFile, this.entries);
+  }
+
+  persistDeadLetters() {
+    writeJSON(this.deadLetterFile, this.deadLetters);
+  }
+}
+
+module.exports = DeliveryQueue;
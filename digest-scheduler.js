@@ -0,0 +1,183 @@
+const nodemailer = require('nodemailer');
+const { Cron } = require('croner');
+const { buildDigest, renderText, renderHtml } = require('./link-digest');
+const { logger } = require('./logger');
+
+// WhatsApp messages get unwieldy (and may be rejected) beyond this
+const MAX_MESSAGE_LENGTH = 4000;
+// The period of a user's first digest, when there is no previous run to start from
+const FIRST_PERIOD_MS = 24 * 60 * 60 * 1000;
+
+const log = logger.child({ component: 'digest-scheduler' });
+
+// Split a digest at line breaks into messages WhatsApp accepts
+function splitMessage(text) {
+  const messages = [];
+  let current = '';
+
+  for (const line of text.split('\n')) {
+    if (current && current.length + line.length + 1 > MAX_MESSAGE_LENGTH) {
+      messages.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${line}` : line.slice(0, MAX_MESSAGE_LENGTH);
+  }
+  if (current) messages.push(current);
+
+  return messages;
+}
+
+// Runs each user's digest on its cron schedule (see link-digest.js for the config). A digest
+// covers the links archived since the previous run and goes to every configured channel:
+// webhooks through the delivery queue, WhatsApp through the user's session, email via SMTP.
+class DigestScheduler {
+  constructor(options = {}) {
+    this.registry = options.registry;
+    this.linkArchive = options.linkArchive;
+    this.deliveryQueue = options.deliveryQueue;
+    this.bots = options.bots;
+    // In cluster mode only the instance running a user's bot has its archive
+    this.isOwner = options.isOwner || (() => true);
+
+    this.smtp = options.smtp || (process.env.SMTP_HOST ? {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      ...(process.env.SMTP_USER && { auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } })
+    } : null);
+    this.emailFrom = options.emailFrom || process.env.DIGEST_EMAIL_FROM || 'WhatsApp Link Digest <digest@localhost>';
+    this.transport = this.smtp ? nodemailer.createTransport(this.smtp) : null;
+
+    this.jobs = new Map(); // userId -> Cron
+  }
+
+  emailAvailable() {
+    return !!this.transport;
+  }
+
+  start() {
+    for (const record of this.registry.all()) {
+      this.sync(record.userId);
+    }
+  }
+
+  stop() {
+    for (const job of this.jobs.values()) job.stop();
+    this.jobs.clear();
+  }
+
+  // (Re)schedule a user's digest after its config changed
+  sync(userId) {
+    this.jobs.get(userId)?.stop();
+    this.jobs.delete(userId);
+
+    const config = this.registry.get(userId)?.digest;
+    if (!config || config.enabled === false) return;
+
+    try {
+      // protect: a digest that is still being sent skips the next tick instead of overlapping.
+      // Rejections are caught here, croner doesn't handle them.
+      const job = new Cron(config.schedule, { timezone: config.timezone, protect: true }, () =>
+        this.run(userId).catch(error => log.error('Digest run failed', { userId, error })));
+      this.jobs.set(userId, job);
+    } catch (error) {
+      log.error('Scheduling digest failed', { userId, error });
+    }
+  }
+
+  nextRunAt(userId) {
+    return this.jobs.get(userId)?.nextRun()?.toISOString() || null;
+  }
+
+  // The digest for a period without sending it; the default period is the one the next run would cover
+  preview(userId, { from, to } = {}) {
+    const config = this.registry.get(userId)?.digest || {};
+    const until = to ? new Date(to) : new Date();
+    const since = from ? new Date(from) : this.periodStart(config, until);
+    if (isNaN(since) || isNaN(until) || since > until) {
+      throw Object.assign(new Error('from and to must be valid dates with from before to'), { statusCode: 400 });
+    }
+
+    return this.build(userId, since, until, config.timezone);
+  }
+
+  periodStart(config, until) {
+    return config.lastRunAt ? new Date(config.lastRunAt) : new Date(until.getTime() - FIRST_PERIOD_MS);
+  }
+
+  // Periods are half-open, so a link detected exactly at a run's time goes into the next digest only
+  build(userId, from, to, timezone) {
+    const links = this.linkArchive.iterate(userId, { from: from.toISOString(), before: to.toISOString() });
+    return buildDigest(links, { userId, from, to, timezone });
+  }
+
+  async run(userId) {
+    const config = this.registry.get(userId)?.digest;
+    if (!config || config.enabled === false) return;
+    if (!this.isOwner(userId)) {
+      log.debug('Skipping digest, bot runs on another instance', { userId });
+      return;
+    }
+
+    const to = new Date();
+    const digest = this.build(userId, this.periodStart(config, to), to, config.timezone);
+
+    if (digest.total_links > 0 || config.includeEmpty) {
+      log.info('Sending link digest', { userId, links: digest.total_links, channels: config.channels.length });
+      for (const channel of config.channels) {
+        try {
+          await this.send(userId, channel, digest);
+        } catch (error) {
+          log.error('Sending digest failed', { userId, channel: channel.type, error });
+        }
+      }
+    }
+
+    // Re-read: the config may have been replaced while the digest was being sent
+    const current = this.registry.get(userId)?.digest;
+    if (current) this.registry.upsert(userId, { digest: { ...current, lastRunAt: to.toISOString() } });
+  }
+
+  async send(userId, channel, digest) {
+    switch (channel.type) {
+      case 'webhook':
+        // Signed and retried like every other webhook delivery
+        this.deliveryQueue.enqueue({
+          userId,
+          channel: 'digest',
+          type: 'digest',
+          url: channel.url,
+          payload: { type: 'digest', ...digest },
+          headers: { 'Content-Type': 'application/json', 'User-Agent': 'WhatsApp-Bot-Enhanced/1.0' }
+        });
+        return;
+
+      case 'whatsapp': {
+        const bot = this.bots.get(userId);
+        if (!bot) throw new Error('Bot is not running on this instance');
+
+        for (const text of splitMessage(renderText(digest))) {
+          await bot.messenger.sendText(channel.to, text);
+        }
+        return;
+      }
+
+      case 'email':
+        if (!this.transport) throw new Error('No SMTP server configured (SMTP_HOST)');
+
+        await this.transport.sendMail({
+          from: this.emailFrom,
+          to: channel.to,
+          subject: channel.subject || `Link digest: ${digest.total_links} new link${digest.total_links === 1 ? '' : 's'}`,
+          text: renderText(digest),
+          html: renderHtml(digest)
+        });
+        return;
+
+      default:
+        throw new Error(`Unknown digest channel ${channel.type}`);
+    }
+  }
+}
+
+module.exports = DigestScheduler;
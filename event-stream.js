@@ -0,0 +1,164 @@
+const { STATUS_CODES } = require('http');
+const { WebSocketServer } = require('ws');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'event-stream' });
+
+// Live per-user event stream over SSE (GET /events/:userId) or WebSocket (same path).
+// The last few events per user are kept so a reconnecting client can catch up
+// with Last-Event-ID instead of missing a QR code or status change.
+class EventHub {
+  constructor(options = {}) {
+    this.bufferSize = options.bufferSize || parseInt(process.env.EVENT_REPLAY_BUFFER, 10) || 100;
+    this.heartbeatMs = options.heartbeatMs || 25000;
+
+    this.buffers = new Map(); // userId -> [{ id, type, data }]
+    this.subscribers = new Map(); // userId -> Set<send>
+
+    // Seeded from the clock so ids keep increasing across restarts
+    this.lastId = Date.now();
+  }
+
+  // `event` is what the bot emits: { type, payload }
+  publish(userId, { type, payload }) {
+    this.lastId = Math.max(this.lastId + 1, Date.now());
+    const entry = { id: this.lastId, type, data: payload };
+
+    const buffer = this.buffers.get(userId) || [];
+    buffer.push(entry);
+    if (buffer.length > this.bufferSize) buffer.shift();
+    this.buffers.set(userId, buffer);
+
+    for (const send of this.subscribers.get(userId) || []) {
+      send(entry);
+    }
+
+    return entry;
+  }
+
+  // Buffered events newer than `lastEventId`; nothing when the client didn't ask to resume
+  replaySince(userId, lastEventId) {
+    const since = parseInt(lastEventId, 10);
+    if (Number.isNaN(since)) return [];
+
+    return (this.buffers.get(userId) || []).filter(entry => entry.id > since);
+  }
+
+  subscribe(userId, send) {
+    if (!this.subscribers.has(userId)) this.subscribers.set(userId, new Set());
+    this.subscribers.get(userId).add(send);
+
+    return () => {
+      const subscribers = this.subscribers.get(userId);
+      subscribers.delete(send);
+      if (subscribers.size === 0) this.subscribers.delete(userId);
+    };
+  }
+
+  subscriberCount(userId) {
+    return this.subscribers.get(userId)?.size || 0;
+  }
+
+  // Express handler; access control is done by the route
+  handleSse(req, res) {
+    const { userId } = req.params;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const send = entry => {
+      res.write(`id: ${entry.id}\nevent: ${entry.type}\ndata: ${JSON.stringify(entry.data)}\n\n`);
+    };
+
+    // EventSource sends the header on reconnect; the query param is for the first connect
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    this.replaySince(userId, lastEventId).forEach(send);
+
+    const unsubscribe = this.subscribe(userId, send);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), this.heartbeatMs);
+    heartbeat.unref();
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  }
+
+  // Take over WebSocket upgrades for /events/:userId on the HTTP server.
+  // `authorize(req, userId)` returns null when allowed or an HTTP status to reject with.
+  // `route(req, socket, head, userId)` resolves true when it handed the socket to another
+  // instance (cluster mode).
+  attachWebSocket(server, authorize, route = async () => false) {
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => {
+      const url = new URL(req.url, 'http://localhost');
+      const match = url.pathname.match(/^\/events\/([^/]+)\/?$/);
+
+      if (!match) {
+        socket.destroy();
+        return;
+      }
+
+      let userId;
+      try {
+        userId = decodeURIComponent(match[1]);
+      } catch (error) {
+        // Malformed escape ("%E0%A4%A")
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+        return;
+      }
+      const rejectStatus = authorize(req, userId);
+      if (rejectStatus) {
+        socket.end(`HTTP/1.1 ${rejectStatus} ${STATUS_CODES[rejectStatus]}\r\nConnection: close\r\n\r\n`);
+        return;
+      }
+
+      route(req, socket, head, userId).then(forwarded => {
+        if (forwarded) return;
+
+        wss.handleUpgrade(req, socket, head, ws => {
+          this.handleWebSocket(ws, userId, url.searchParams.get('lastEventId'));
+        });
+      }).catch(error => {
+        log.error('Routing event stream failed', { userId, error: error.message });
+        socket.end('HTTP/1.1 502 Bad Gateway\r\nConnection: close\r\n\r\n');
+      });
+    });
+
+    return wss;
+  }
+
+  handleWebSocket(ws, userId, lastEventId) {
+    const send = entry => {
+      if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(entry));
+    };
+
+    this.replaySince(userId, lastEventId).forEach(send);
+    const unsubscribe = this.subscribe(userId, send);
+
+    // Drop connections that stop answering pings
+    let alive = true;
+    ws.on('pong', () => { alive = true; });
+    const heartbeat = setInterval(() => {
+      if (!alive) return ws.terminate();
+      alive = false;
+      ws.ping();
+    }, this.heartbeatMs);
+    heartbeat.unref();
+
+    ws.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+    ws.on('error', error => log.warn('Event stream socket error', { userId, error: error.message }));
+  }
+}
+
+module.exports = EventHub;
@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const DATA_DIR = process.env.DATA_DIR || './data';
+
+// Resolve a file inside the service data directory
+function dataPath(name) {
+  return path.join(DATA_DIR, name);
+}
+
+function readJSON(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('Could not read data file, starting fresh', { file, error: error.message });
+    }
+    return fallback;
+  }
+}
+
+// Write via temp file + rename so a crash never leaves half-written JSON behind
+function writeJSON(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpFile, file);
+}
+
+module.exports = { DATA_DIR, dataPath, readJSON, writeJSON };
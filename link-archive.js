@@ -0,0 +1,333 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { dataPath } = require('./json-store');
+const { logger } = require('./logger');
+
+const ARCHIVE_STORES = ['sqlite', 'none'];
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed', 'none'];
+const MAX_PAGE_SIZE = 500;
+const ITERATE_PAGE_SIZE = 500;
+
+const log = logger.child({ component: 'link-archive' });
+
+function parseJSON(value) {
+  return value ? JSON.parse(value) : null;
+}
+
+// A destination's outcome per queue entry status; dead-lettered counts as failed
+function deliveryOutcome(status) {
+  if (status === 'delivered') return 'delivered';
+  if (status === 'dead') return 'failed';
+  return 'pending';
+}
+
+// One status for the link from its destinations' outcomes
+function overallStatus(deliveries) {
+  const outcomes = Object.values(deliveries);
+  if (outcomes.length === 0) return 'none';
+  if (outcomes.includes('failed')) return 'failed';
+  if (outcomes.every(outcome => outcome === 'delivered')) return 'delivered';
+  return 'pending';
+}
+
+// Every search term quoted, so user input can't break the FTS5 query syntax
+function ftsQuery(text) {
+  const terms = String(text).match(/[^\s"]+/g) || [];
+  return terms.map(term => `"${term}"`).join(' ');
+}
+
+function encodeCursor(id) {
+  return Buffer.from(String(id)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const id = parseInt(Buffer.from(String(cursor), 'base64url').toString(), 10);
+  if (!(id > 0)) throw Object.assign(new Error('Invalid cursor'), { statusCode: 400 });
+  return id;
+}
+
+// Every dispatched link with its message context and delivery outcome, in SQLite
+// (LINK_ARCHIVE_PATH), so deliveries can be reconciled and links searched and exported
+// later. Rows older than LINK_RETENTION_DAYS are pruned every hour.
+class LinkArchive {
+  constructor(options = {}) {
+    this.store = options.store || process.env.LINK_ARCHIVE || 'sqlite';
+    if (!ARCHIVE_STORES.includes(this.store)) {
+      throw new Error(`LINK_ARCHIVE must be one of ${ARCHIVE_STORES.join(', ')}`);
+    }
+
+    this.enabled = this.store !== 'none';
+    this.file = options.file || process.env.LINK_ARCHIVE_PATH || dataPath('links.db');
+    this.retentionDays = options.retentionDays ?? (parseInt(process.env.LINK_RETENTION_DAYS, 10) || 90); // 0 = keep forever
+    this.pruneIntervalMs = options.pruneIntervalMs || 60 * 60 * 1000;
+    this.timer = null;
+    this.db = null;
+
+    if (this.enabled) this.open();
+  }
+
+  open() {
+    if (this.file !== ':memory:') fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+    this.db = new Database(this.file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS links (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        detected_at TEXT NOT NULL,
+        url TEXT NOT NULL,
+        canonical_url TEXT NOT NULL,
+        expanded_url TEXT,
+        domain TEXT NOT NULL,
+        origin TEXT,
+        message_id TEXT,
+        message_text TEXT,
+        message_timestamp TEXT,
+        chat_id TEXT,
+        chat_name TEXT,
+        is_group INTEGER NOT NULL DEFAULT 0,
+        sender_id TEXT,
+        sender_name TEXT,
+        sender_phone TEXT,
+        backfill INTEGER NOT NULL DEFAULT 0,
+        matched_rule TEXT,
+        metadata TEXT,
+        delivery_status TEXT NOT NULL,
+        deliveries TEXT NOT NULL DEFAULT '{}'
+      );
+      CREATE INDEX IF NOT EXISTS links_user ON links (user_id, id);
+      CREATE INDEX IF NOT EXISTS links_detected_at ON links (detected_at);
+
+      -- Full-text index over the message text, kept in sync by triggers
+      CREATE VIRTUAL TABLE IF NOT EXISTS links_fts USING fts5(message_text, content='links', content_rowid='id');
+      CREATE TRIGGER IF NOT EXISTS links_fts_insert AFTER INSERT ON links BEGIN
+        INSERT INTO links_fts (rowid, message_text) VALUES (new.id, new.message_text);
+      END;
+      CREATE TRIGGER IF NOT EXISTS links_fts_delete AFTER DELETE ON links BEGIN
+        INSERT INTO links_fts (links_fts, rowid, message_text) VALUES ('delete', old.id, old.message_text);
+      END;
+    `);
+
+    this.insertStatement = this.db.prepare(`
+      INSERT INTO links (
+        user_id, detected_at, url, canonical_url, expanded_url, domain, origin,
+        message_id, message_text, message_timestamp, chat_id, chat_name, is_group,
+        sender_id, sender_name, sender_phone, backfill, matched_rule, metadata,
+        delivery_status, deliveries
+      ) VALUES (
+        @userId, @detectedAt, @url, @canonicalUrl, @expandedUrl, @domain, @origin,
+        @messageId, @messageText, @messageTimestamp, @chatId, @chatName, @isGroup,
+        @senderId, @senderName, @senderPhone, @backfill, @matchedRule, @metadata,
+        @deliveryStatus, @deliveries
+      )
+    `);
+  }
+
+  start() {
+    if (!this.enabled || !this.retentionDays) return;
+
+    this.prune();
+    this.timer = setInterval(() => this.prune(), this.pruneIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.db) this.db.close();
+    this.db = null;
+  }
+
+  // Archive a dispatched link. `event` is the link event from dispatchLink, `destinationIds`
+  // the destinations it was queued for. Returns the row id, or null when archiving is off.
+  record(event, destinationIds = []) {
+    if (!this.db) return null;
+
+    const { userId, link, context, matchedRule } = event;
+    const deliveries = Object.fromEntries(destinationIds.map(id => [id, 'pending']));
+
+    let domain = '';
+    try {
+      domain = new URL(link.canonical).hostname.toLowerCase();
+    } catch (error) {
+      // Kept with an empty domain; filters just won't match it
+    }
+
+    try {
+      const result = this.insertStatement.run({
+        userId,
+        detectedAt: new Date().toISOString(),
+        url: link.url,
+        canonicalUrl: link.canonical,
+        expandedUrl: link.expanded || null,
+        domain,
+        origin: link.origin || 'text',
+        messageId: context.messageId || null,
+        messageText: context.messageText || '',
+        messageTimestamp: context.timestamp || null,
+        chatId: context.chatId || null,
+        chatName: context.chatName || null,
+        isGroup: context.isGroup ? 1 : 0,
+        senderId: context.senderId || null,
+        senderName: context.senderName || null,
+        senderPhone: context.senderPhone || null,
+        backfill: context.backfill ? 1 : 0,
+        matchedRule: matchedRule ? JSON.stringify(matchedRule) : null,
+        metadata: link.metadata ? JSON.stringify(link.metadata) : null,
+        deliveryStatus: overallStatus(deliveries),
+        deliveries: JSON.stringify(deliveries)
+      });
+
+      return Number(result.lastInsertRowid);
+    } catch (error) {
+      // The archive must never stop a link from being delivered
+      log.error('Archiving link failed', { userId, url: link.canonical, error });
+      return null;
+    }
+  }
+
+  // Called by the delivery queue when a delivery for an archived link succeeded or was dead-lettered
+  recordDelivery(linkId, destinationId, status) {
+    if (!this.db) return;
+
+    const row = this.db.prepare('SELECT deliveries FROM links WHERE id = ?').get(linkId);
+    if (!row) return; // Pruned meanwhile
+
+    const deliveries = { ...parseJSON(row.deliveries), [destinationId]: deliveryOutcome(status) };
+    this.db.prepare('UPDATE links SET deliveries = ?, delivery_status = ? WHERE id = ?')
+      .run(JSON.stringify(deliveries), overallStatus(deliveries), linkId);
+  }
+
+  // Turn query string filters into SQL. Throws 400 errors for unusable values.
+  buildQuery(userId, filters = {}) {
+    const clauses = ['links.user_id = @userId'];
+    const params = { userId };
+
+    for (const key of ['from', 'to', 'before']) {
+      if (!filters[key]) continue;
+      const date = new Date(filters[key]);
+      if (isNaN(date)) throw Object.assign(new Error(`${key} must be an ISO date`), { statusCode: 400 });
+      params[key] = date.toISOString();
+    }
+    if (params.from) clauses.push('links.detected_at >= @from');
+    if (params.to) clauses.push('links.detected_at <= @to');
+    if (params.before) clauses.push('links.detected_at < @before');
+
+    // A domain matches itself and its subdomains
+    if (filters.domain) {
+      params.domain = String(filters.domain).toLowerCase().replace(/^www\./, '');
+      clauses.push("(links.domain = @domain OR links.domain LIKE '%.' || @domain)");
+    }
+    if (filters.chat) {
+      params.chat = String(filters.chat);
+      clauses.push('(links.chat_id = @chat OR links.chat_name = @chat COLLATE NOCASE)');
+    }
+    if (filters.sender) {
+      params.sender = String(filters.sender);
+      params.senderPhone = params.sender.replace(/@.*$/, '').replace(/\D/g, '');
+      clauses.push('(links.sender_id = @sender OR links.sender_name = @sender COLLATE NOCASE OR (@senderPhone != \'\' AND links.sender_phone = @senderPhone))');
+    }
+    if (filters.status) {
+      if (!DELIVERY_STATUSES.includes(filters.status)) {
+        throw Object.assign(new Error(`status must be one of ${DELIVERY_STATUSES.join(', ')}`), { statusCode: 400 });
+      }
+      params.status = filters.status;
+      clauses.push('links.delivery_status = @status');
+    }
+
+    let join = '';
+    if (filters.q) {
+      params.q = ftsQuery(filters.q);
+      if (params.q) {
+        join = 'JOIN links_fts ON links_fts.rowid = links.id';
+        clauses.push('links_fts MATCH @q');
+      }
+    }
+
+    return { sql: `FROM links ${join} WHERE ${clauses.join(' AND ')}`, params };
+  }
+
+  // One page, newest first: { links, nextCursor }
+  search(userId, filters = {}) {
+    if (!this.db) return { links: [], nextCursor: null };
+
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(filters.limit, 10) || 50));
+    const { sql, params } = this.buildQuery(userId, filters);
+    const cursorClause = filters.cursor ? 'AND links.id < @cursor' : '';
+    if (filters.cursor) params.cursor = decodeCursor(filters.cursor);
+
+    const rows = this.db.prepare(`SELECT links.* ${sql} ${cursorClause} ORDER BY links.id DESC LIMIT ${limit + 1}`).all(params);
+    const page = rows.slice(0, limit);
+
+    return {
+      links: page.map(LinkArchive.toApi),
+      nextCursor: rows.length > limit ? encodeCursor(page[page.length - 1].id) : null
+    };
+  }
+
+  // Every matching row, oldest first, without loading them all at once (exports).
+  // Invalid filters throw here rather than once iteration has started. Rows are read a page
+  // at a time: an open better-sqlite3 iterator would block every other query on the
+  // connection for as long as the consumer (e.g. a slow client) takes.
+  iterate(userId, filters = {}) {
+    if (!this.db) return [];
+
+    const { sql, params } = this.buildQuery(userId, filters);
+    const statement = this.db.prepare(`SELECT links.* ${sql} AND links.id > @afterId ORDER BY links.id LIMIT ${ITERATE_PAGE_SIZE}`);
+
+    return (function* () {
+      let afterId = 0;
+      for (;;) {
+        const rows = statement.all({ ...params, afterId });
+        for (const row of rows) yield LinkArchive.toApi(row);
+        if (rows.length < ITERATE_PAGE_SIZE) return;
+        afterId = rows[rows.length - 1].id;
+      }
+    })();
+  }
+
+  prune() {
+    if (!this.db || !this.retentionDays) return 0;
+
+    try {
+      const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+      const { changes } = this.db.prepare('DELETE FROM links WHERE detected_at < ?').run(cutoff);
+      if (changes > 0) log.info('Pruned archived links', { removed: changes, retentionDays: this.retentionDays });
+      return changes;
+    } catch (error) {
+      log.error('Pruning archived links failed', error);
+      return 0;
+    }
+  }
+
+  static toApi(row) {
+    return {
+      id: row.id,
+      user_id: row.user_id,
+      detected_at: row.detected_at,
+      url: row.url,
+      canonical_url: row.canonical_url,
+      expanded_url: row.expanded_url,
+      domain: row.domain,
+      origin: row.origin,
+      message: {
+        id: row.message_id,
+        text: row.message_text,
+        timestamp: row.message_timestamp
+      },
+      chat: { id: row.chat_id, name: row.chat_name, is_group: !!row.is_group },
+      sender: { id: row.sender_id, name: row.sender_name, phone: row.sender_phone },
+      backfill: !!row.backfill,
+      matched_rule: parseJSON(row.matched_rule),
+      metadata: parseJSON(row.metadata),
+      delivery_status: row.delivery_status,
+      deliveries: parseJSON(row.deliveries)
+    };
+  }
+}
+
+LinkArchive.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+module.exports = LinkArchive;
@@ -0,0 +1,258 @@
+const { Cron } = require('croner');
+
+// Scheduled link digests: one summary of the links archived in a period, per user.
+//
+// {
+//   schedule: '0 8 * * *',                     // cron, optionally with seconds
+//   timezone: 'Europe/Berlin',                 // IANA zone, default DIGEST_TIMEZONE
+//   channels: [
+//     { type: 'webhook', url: 'https://example.com/hooks/digest' },
+//     { type: 'whatsapp', to: '120363098765432109@g.us' },
+//     { type: 'email', to: ['team@example.com'], subject: 'Job links' }
+//   ],
+//   includeEmpty: false,                       // also send when there were no links
+//   enabled: true
+// }
+
+const CHANNEL_TYPES = ['webhook', 'whatsapp', 'email'];
+const DEFAULT_TIMEZONE = process.env.DIGEST_TIMEZONE || 'UTC';
+// Shortest gap allowed between two runs of a schedule
+const MIN_INTERVAL_MS = (parseInt(process.env.DIGEST_MIN_INTERVAL_MINUTES, 10) || 60) * 60 * 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+function validateChannel(channel, index, { emailAvailable }) {
+  const prefix = `channels[${index}]`;
+  if (!channel || typeof channel !== 'object' || !CHANNEL_TYPES.includes(channel.type)) {
+    return [`${prefix}.type must be one of ${CHANNEL_TYPES.join(', ')}`];
+  }
+
+  const errors = [];
+  if (channel.type === 'webhook' && !isHttpUrl(channel.url)) {
+    errors.push(`${prefix}.url must be an http(s) URL`);
+  }
+  if (channel.type === 'whatsapp' && (typeof channel.to !== 'string' || !channel.to.trim())) {
+    errors.push(`${prefix}.to must be a chat ID or phone number`);
+  }
+  if (channel.type === 'email') {
+    if (!Array.isArray(channel.to) || channel.to.length === 0 || !channel.to.every(address => EMAIL_PATTERN.test(address))) {
+      errors.push(`${prefix}.to must be a non-empty array of email addresses`);
+    }
+    if (channel.subject !== undefined && typeof channel.subject !== 'string') {
+      errors.push(`${prefix}.subject must be a string`);
+    }
+    if (!emailAvailable) {
+      errors.push(`${prefix}: email digests need an SMTP server (SMTP_HOST)`);
+    }
+  }
+
+  return errors;
+}
+
+// Returns a list of problems; empty means the config is usable
+function validateDigestConfig(config, { emailAvailable = false } = {}) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return ['body must be an object'];
+
+  const errors = [];
+  const { schedule, timezone = DEFAULT_TIMEZONE, channels, includeEmpty, enabled } = config;
+
+  if (typeof schedule !== 'string' || !schedule.trim()) {
+    errors.push('schedule must be a cron expression');
+  } else {
+    try {
+      const job = new Cron(schedule, { timezone, paused: true });
+      const runs = job.nextRuns(50);
+      job.stop();
+      // Sub-interval gaps show up within the first runs for any cron pattern
+      if (runs.some((run, index) => index > 0 && run - runs[index - 1] < MIN_INTERVAL_MS)) {
+        errors.push(`schedule must not run more often than every ${MIN_INTERVAL_MS / 60000} minutes`);
+      }
+    } catch (error) {
+      errors.push(`schedule/timezone: ${error.message}`);
+    }
+  }
+
+  if (!Array.isArray(channels) || channels.length === 0) {
+    errors.push('channels must be a non-empty array');
+  } else {
+    channels.forEach((channel, index) => errors.push(...validateChannel(channel, index, { emailAvailable })));
+  }
+
+  if (includeEmpty !== undefined && typeof includeEmpty !== 'boolean') {
+    errors.push('includeEmpty must be a boolean');
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+
+  return errors;
+}
+
+// Config as stored, from validated request fields
+function normalizeDigestConfig(config, previous = null) {
+  return {
+    schedule: config.schedule.trim(),
+    timezone: config.timezone || DEFAULT_TIMEZONE,
+    channels: config.channels.map(channel => {
+      if (channel.type === 'webhook') return { type: 'webhook', url: channel.url };
+      if (channel.type === 'whatsapp') return { type: 'whatsapp', to: channel.to.trim() };
+      return { type: 'email', to: channel.to, subject: channel.subject || null };
+    }),
+    includeEmpty: !!config.includeEmpty,
+    enabled: config.enabled ?? true,
+    lastRunAt: previous?.lastRunAt || null,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+// Summary of archived links (LinkArchive.toApi shape): grouped by chat and, within a chat,
+// by domain. The same URL posted several times in a chat is one entry with a count.
+function buildDigest(links, { userId, from, to, timezone = DEFAULT_TIMEZONE }) {
+  const chats = new Map();
+  const unique = new Set();
+  let total = 0;
+
+  for (const link of links) {
+    total += 1;
+    unique.add(link.canonical_url);
+
+    const chatKey = link.chat.id || 'unknown';
+    if (!chats.has(chatKey)) {
+      chats.set(chatKey, { chat_id: link.chat.id, chat_name: link.chat.name, is_group: link.chat.is_group, links: 0, senders: new Map(), domains: new Map() });
+    }
+    const chat = chats.get(chatKey);
+    chat.links += 1;
+
+    const sender = link.sender.name || link.sender.phone || link.sender.id || 'Unknown';
+    chat.senders.set(sender, (chat.senders.get(sender) || 0) + 1);
+
+    const domain = (link.domain || 'other').replace(/^www\./, '');
+    if (!chat.domains.has(domain)) chat.domains.set(domain, new Map());
+    const entries = chat.domains.get(domain);
+
+    const entry = entries.get(link.canonical_url);
+    if (entry) {
+      entry.count += 1;
+      if (!entry.senders.includes(sender)) entry.senders.push(sender);
+      entry.title = entry.title || link.metadata?.title || null;
+      entry.last_seen = link.detected_at;
+    } else {
+      entries.set(link.canonical_url, {
+        url: link.expanded_url || link.url,
+        canonical_url: link.canonical_url,
+        title: link.metadata?.title || null,
+        count: 1,
+        senders: [sender],
+        first_seen: link.detected_at,
+        last_seen: link.detected_at
+      });
+    }
+  }
+
+  const byCount = (a, b) => b.count - a.count;
+
+  return {
+    user_id: userId,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    timezone,
+    total_links: total,
+    unique_links: unique.size,
+    chats: [...chats.values()]
+      .sort((a, b) => b.links - a.links)
+      .map(chat => ({
+        chat_id: chat.chat_id,
+        chat_name: chat.chat_name,
+        is_group: chat.is_group,
+        links: chat.links,
+        senders: [...chat.senders].map(([name, count]) => ({ name, count })).sort(byCount),
+        domains: [...chat.domains]
+          .map(([domain, entries]) => ({ domain, links: [...entries.values()] }))
+          .sort((a, b) => b.links.length - a.links.length)
+      }))
+  };
+}
+
+function formatPeriod(digest) {
+  const format = new Intl.DateTimeFormat('en-GB', { dateStyle: 'medium', timeStyle: 'short', timeZone: digest.timezone });
+  return `${format.format(new Date(digest.from))} – ${format.format(new Date(digest.to))} (${digest.timezone})`;
+}
+
+function headline(digest) {
+  const chats = digest.chats.length;
+  return `${digest.total_links} link${digest.total_links === 1 ? '' : 's'} (${digest.unique_links} unique) from ${chats} chat${chats === 1 ? '' : 's'}`;
+}
+
+function chatTitle(chat) {
+  return chat.chat_name || chat.chat_id || 'Unknown chat';
+}
+
+function sendersLine(chat) {
+  return chat.senders.map(sender => `${sender.name} (${sender.count})`).join(', ');
+}
+
+// Plain text, WhatsApp formatting (*bold*), used for WhatsApp and the text part of emails
+function renderText(digest) {
+  const lines = [`📰 *Link digest*: ${headline(digest)}`, formatPeriod(digest)];
+  if (digest.total_links === 0) lines.push('', 'No new links.');
+
+  for (const chat of digest.chats) {
+    lines.push('', `*${chatTitle(chat)}* – ${chat.links} link${chat.links === 1 ? '' : 's'} · ${sendersLine(chat)}`);
+    for (const { domain, links } of chat.domains) {
+      lines.push(`_${domain}_`);
+      for (const link of links) {
+        const title = link.title ? `${link.title} – ` : '';
+        const count = link.count > 1 ? ` (×${link.count})` : '';
+        lines.push(`• ${title}${link.url}${count}`);
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function renderHtml(digest) {
+  const parts = [
+    '<!DOCTYPE html><html><body style="font-family: sans-serif">',
+    `<h2>Link digest: ${escapeHtml(headline(digest))}</h2>`,
+    `<p style="color: #666">${escapeHtml(formatPeriod(digest))}</p>`
+  ];
+  if (digest.total_links === 0) parts.push('<p>No new links.</p>');
+
+  for (const chat of digest.chats) {
+    parts.push(`<h3>${escapeHtml(chatTitle(chat))} <small>(${chat.links})</small></h3>`);
+    parts.push(`<p style="color: #666">${escapeHtml(sendersLine(chat))}</p>`);
+    for (const { domain, links } of chat.domains) {
+      parts.push(`<h4>${escapeHtml(domain)}</h4><ul>`);
+      for (const link of links) {
+        const count = link.count > 1 ? ` ×${link.count}` : '';
+        parts.push(`<li><a href="${escapeHtml(link.url)}">${escapeHtml(link.title || link.url)}</a>${count} <small>${escapeHtml(link.senders.join(', '))}</small></li>`);
+      }
+      parts.push('</ul>');
+    }
+  }
+
+  parts.push('</body></html>');
+  return parts.join('\n');
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  DEFAULT_TIMEZONE,
+  validateDigestConfig,
+  normalizeDigestConfig,
+  buildDigest,
+  renderText,
+  renderHtml
+};
@@ -0,0 +1,241 @@
+const metrics = require('./metrics');
+const { getPublic } = require('./public-http');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'link-enricher' });
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function parseAttributes(tag) {
+  const attributes = {};
+  for (const [, name, , doubleQuoted, singleQuoted, bare] of tag.matchAll(/([a-z][\w:-]*)\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+))/gi)) {
+    attributes[name.toLowerCase()] = decodeEntities(doubleQuoted ?? singleQuoted ?? bare);
+  }
+  return attributes;
+}
+
+function clean(value, max = 1000) {
+  if (!value) return null;
+  const text = value.replace(/\s+/g, ' ').trim();
+  return text ? text.slice(0, max) : null;
+}
+
+function absoluteUrl(value, base) {
+  if (!value) return null;
+  try {
+    const url = new URL(value, base);
+    return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Open Graph, Twitter card and plain HTML metadata from the <head>, plus the oEmbed endpoint if announced
+function parseHtml(html, pageUrl) {
+  const head = html.split(/<\/head>/i)[0];
+  const meta = {};
+  for (const [tag] of head.matchAll(/<meta\b[^>]*>/gi)) {
+    const attributes = parseAttributes(tag);
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+    if (key && attributes.content !== undefined && !(key in meta)) meta[key] = attributes.content;
+  }
+
+  let oembedUrl = null;
+  for (const [tag] of head.matchAll(/<link\b[^>]*>/gi)) {
+    const attributes = parseAttributes(tag);
+    if (/alternate/i.test(attributes.rel || '') && /json\+oembed/i.test(attributes.type || '')) {
+      oembedUrl = absoluteUrl(attributes.href, pageUrl);
+      break;
+    }
+  }
+
+  const title = head.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+
+  return {
+    metadata: {
+      title: clean(meta['og:title'] || meta['twitter:title'] || (title && decodeEntities(title[1])), 300),
+      description: clean(meta['og:description'] || meta['twitter:description'] || meta.description),
+      image: absoluteUrl(meta['og:image:secure_url'] || meta['og:image'] || meta['og:image:url'] || meta['twitter:image'] || meta['twitter:image:src'], pageUrl),
+      siteName: clean(meta['og:site_name'] || meta['application-name'], 200),
+      type: clean(meta['og:type'], 100)
+    },
+    oembedUrl
+  };
+}
+
+// Fetches a link's page before dispatch and extracts title, description, image, site name
+// and content type. Fetches are bounded in time, size and redirects, only reach public
+// addresses, and are cached per canonical URL. `enrich` never waits longer than the budget;
+// a fetch that takes longer still fills the cache for the next sighting.
+class LinkEnricher {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.LINK_ENRICHMENT === 'true';
+    this.budgetMs = options.budgetMs || parseInt(process.env.ENRICHMENT_BUDGET_MS, 10) || 2000;
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.ENRICHMENT_TIMEOUT_MS, 10) || 5000;
+    this.maxBytes = options.maxBytes || parseInt(process.env.ENRICHMENT_MAX_BYTES, 10) || 512 * 1024;
+    this.maxRedirects = options.maxRedirects ?? 3;
+    this.cacheTtlMs = options.cacheTtlMs || (parseInt(process.env.ENRICHMENT_CACHE_TTL_MINUTES, 10) || 24 * 60) * 60 * 1000;
+    this.failureTtlMs = options.failureTtlMs || 10 * 60 * 1000;
+    this.cacheMaxEntries = options.cacheMaxEntries || parseInt(process.env.ENRICHMENT_CACHE_MAX_ENTRIES, 10) || 1000;
+    // Tests point the enricher at local servers; never enabled from the environment
+    this.allowPrivate = !!options.allowPrivate;
+
+    this.cache = new Map(); // canonical URL -> { metadata, expiresAt }, oldest first
+    this.inFlight = new Map(); // canonical URL -> Promise
+  }
+
+  // Metadata for a URL within the budget, or null (disabled, failed, blocked or too slow)
+  async enrich(url) {
+    if (!this.enabled) return null;
+
+    const cached = this.cache.get(url);
+    if (cached && cached.expiresAt > Date.now()) {
+      metrics.enrichments.inc({ outcome: 'cache_hit' });
+      return cached.metadata;
+    }
+
+    let timer;
+    const budget = new Promise(resolve => {
+      timer = setTimeout(() => resolve(undefined), this.budgetMs);
+      timer.unref();
+    });
+
+    const result = await Promise.race([this.lookup(url), budget]);
+    clearTimeout(timer);
+
+    if (result === undefined) {
+      metrics.enrichments.inc({ outcome: 'over_budget' });
+      return null;
+    }
+    return result;
+  }
+
+  // Fetch once per URL, however many messages ask for it at the same time
+  lookup(url) {
+    if (!this.inFlight.has(url)) {
+      const pending = this.fetchMetadata(url)
+        .then(metadata => {
+          metrics.enrichments.inc({ outcome: 'fetched' });
+          this.remember(url, metadata, this.cacheTtlMs);
+          return metadata;
+        })
+        .catch(error => {
+          metrics.enrichments.inc({ outcome: error.code === 'EBLOCKED' ? 'blocked' : 'failed' });
+          log.debug('Link enrichment failed', { url, error: error.message });
+          this.remember(url, null, this.failureTtlMs);
+          return null;
+        })
+        .finally(() => this.inFlight.delete(url));
+
+      this.inFlight.set(url, pending);
+    }
+
+    return this.inFlight.get(url);
+  }
+
+  remember(url, metadata, ttlMs) {
+    this.cache.delete(url);
+    this.cache.set(url, { metadata, expiresAt: Date.now() + ttlMs });
+
+    while (this.cache.size > this.cacheMaxEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  async fetchMetadata(url) {
+    const page = await this.fetch(url, 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5');
+    const metadata = { title: null, description: null, image: null, siteName: null, type: null, contentType: page.contentType, author: null };
+
+    if (/^image\//.test(page.contentType || '')) {
+      return { ...metadata, image: page.url };
+    }
+    if (!/html/.test(page.contentType || '')) {
+      return metadata;
+    }
+
+    const { metadata: parsed, oembedUrl } = parseHtml(page.body, page.url);
+    Object.assign(metadata, parsed);
+
+    // oEmbed fills what the page itself doesn't say (typical for video and social sites)
+    if (oembedUrl) {
+      try {
+        const oembed = JSON.parse((await this.fetch(oembedUrl, 'application/json')).body);
+        metadata.title = metadata.title || clean(oembed.title, 300);
+        metadata.image = metadata.image || absoluteUrl(oembed.thumbnail_url, oembedUrl);
+        metadata.siteName = metadata.siteName || clean(oembed.provider_name, 200);
+        metadata.type = metadata.type || clean(oembed.type, 100);
+        metadata.author = clean(oembed.author_name, 200);
+      } catch (error) {
+        log.debug('oEmbed lookup failed', { url: oembedUrl, error: error.message });
+      }
+    }
+
+    return metadata;
+  }
+
+  // Only public addresses, checked on every redirect hop (see public-http.js)
+  async fetch(url, accept) {
+    const response = await getPublic(url, {
+      responseType: 'stream',
+      maxRedirects: this.maxRedirects,
+      allowPrivate: this.allowPrivate,
+      timeout: this.timeoutMs,
+      headers: { Accept: accept, 'User-Agent': 'WhatsApp-Bot-Enhanced/1.0 (link preview)' }
+    });
+
+    if (response.status >= 400) {
+      response.data.destroy();
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase() || null;
+    const textual = /html|json|xml|text/.test(contentType || '');
+    const body = textual ? await this.readBody(response.data) : (response.data.destroy(), '');
+
+    return { url: response.url, contentType, body };
+  }
+
+  // Read at most maxBytes (plus the timeout) of a response; a truncated page still has its <head>
+  readBody(stream) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      const timer = setTimeout(() => {
+        stream.destroy();
+        reject(new Error('Response body timed out'));
+      }, this.timeoutMs);
+      timer.unref();
+
+      const finish = () => {
+        clearTimeout(timer);
+        resolve(Buffer.concat(chunks).subarray(0, this.maxBytes).toString('utf8'));
+      };
+
+      stream.on('data', chunk => {
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size >= this.maxBytes) {
+          stream.destroy();
+          finish();
+        }
+      });
+      stream.on('end', finish);
+      stream.on('error', error => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+  }
+}
+
+module.exports = LinkEnricher;
@@ -0,0 +1,80 @@
+// Serializers for GET /links/:userId/export. Each takes an iterable of archived links
+// (LinkArchive.toApi shape) and yields chunks to write to the response.
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', write: toCsv },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl', write: toJsonLines },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html', write: toBookmarks }
+};
+
+const CSV_COLUMNS = [
+  ['id', link => link.id],
+  ['detected_at', link => link.detected_at],
+  ['url', link => link.url],
+  ['canonical_url', link => link.canonical_url],
+  ['domain', link => link.domain],
+  ['title', link => link.metadata?.title],
+  ['chat_id', link => link.chat.id],
+  ['chat_name', link => link.chat.name],
+  ['sender_id', link => link.sender.id],
+  ['sender_name', link => link.sender.name],
+  ['sender_phone', link => link.sender.phone],
+  ['message_id', link => link.message.id],
+  ['message_text', link => link.message.text],
+  ['delivery_status', link => link.delivery_status]
+];
+
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Spreadsheets run cells starting with these as formulas; message text is untrusted
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function* toCsv(links) {
+  yield `${CSV_COLUMNS.map(([name]) => name).join(',')}\r\n`;
+  for (const link of links) {
+    yield `${CSV_COLUMNS.map(([, value]) => csvField(value(link))).join(',')}\r\n`;
+  }
+}
+
+function* toJsonLines(links) {
+  for (const link of links) {
+    yield `${JSON.stringify(link)}\n`;
+  }
+}
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Netscape bookmark file, the format browsers and read-later services import; one folder per chat
+function* toBookmarks(links) {
+  const folders = new Map();
+  for (const link of links) {
+    const folder = link.chat.name || link.chat.id || 'WhatsApp';
+    if (!folders.has(folder)) folders.set(folder, []);
+    folders.get(folder).push(link);
+  }
+
+  yield '<!DOCTYPE NETSCAPE-Bookmark-file-1>\n' +
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">\n' +
+    '<TITLE>Bookmarks</TITLE>\n' +
+    '<H1>Bookmarks</H1>\n' +
+    '<DL><p>\n';
+
+  for (const [folder, folderLinks] of folders) {
+    yield `    <DT><H3>${escapeHtml(folder)}</H3>\n    <DL><p>\n`;
+    for (const link of folderLinks) {
+      const added = Math.floor(new Date(link.detected_at).getTime() / 1000);
+      const title = link.metadata?.title || link.expanded_url || link.url;
+      yield `        <DT><A HREF="${escapeHtml(link.expanded_url || link.url)}" ADD_DATE="${added}">${escapeHtml(title)}</A>\n`;
+      if (link.message.text) yield `        <DD>${escapeHtml(link.message.text)}\n`;
+    }
+    yield '    </DL><p>\n';
+  }
+
+  yield '</DL><p>\n';
+}
+
+module.exports = { EXPORT_FORMATS };
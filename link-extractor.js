@@ -0,0 +1,210 @@
+const axios = require('axios');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'link-extractor' });
+
+// Scheme-less domains are only picked up for these TLDs, so "config.js" or "e.g." stay plain text
+const BARE_TLDS = [
+  'com', 'org', 'net', 'io', 'co', 'ai', 'dev', 'app', 'jobs', 'me', 'ly', 'in',
+  'de', 'at', 'ch', 'uk', 'eu', 'fr', 'nl', 'es', 'it', 'us', 'info', 'biz', 'gg', 'tv'
+];
+
+const URL_PATTERN = new RegExp(
+  [
+    // Explicit scheme
+    'https?:\\/\\/[^\\s<>"\'`]+',
+    // www. without scheme
+    'www\\.[^\\s<>"\'`]+',
+    // bare domain with a known TLD, optionally with port and path
+    `(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\\.)+(?:${BARE_TLDS.join('|')})(?::\\d{2,5})?(?:\\/[^\\s<>"'\`]*)?(?![a-z0-9-])`
+  ].join('|'),
+  'gi'
+);
+
+// Query parameters that only carry tracking information
+const TRACKING_PARAMS = [
+  /^utm_/i, /^fbclid$/i, /^gclid$/i, /^dclid$/i, /^msclkid$/i, /^mc_(cid|eid)$/i,
+  /^igshid$/i, /^_hs(enc|mi)$/i, /^mkt_tok$/i, /^ref_src$/i, /^ref_url$/i,
+  /^trk$/i, /^trackingId$/i, /^refId$/i, /^lipi$/i, /^si$/i, /^s$/i, /^t$/i
+];
+
+// Params like "s" and "t" are only tracking on these hosts (Twitter/X share links)
+const HOST_SCOPED_PARAMS = {
+  s: ['twitter.com', 'x.com'],
+  t: ['twitter.com', 'x.com'],
+  si: ['youtube.com', 'youtu.be', 'open.spotify.com']
+};
+
+const SHORTENER_HOSTS = new Set([
+  'lnkd.in', 'bit.ly', 't.co', 'tinyurl.com', 'buff.ly', 'ow.ly', 'goo.gl', 'rebrand.ly', 'shorturl.at'
+]);
+
+// Drop punctuation that belongs to the sentence, and closing brackets without an opening partner
+function trimEdges(candidate) {
+  let url = candidate;
+
+  for (;;) {
+    const last = url.slice(-1);
+
+    if ('.,;:!?*_~'.includes(last)) {
+      url = url.slice(0, -1);
+      continue;
+    }
+
+    const pairs = { ')': '(', ']': '[', '}': '{' };
+    if (pairs[last]) {
+      const opens = url.split(pairs[last]).length - 1;
+      const closes = url.split(last).length - 1;
+      if (closes > opens) {
+        url = url.slice(0, -1);
+        continue;
+      }
+    }
+
+    return url;
+  }
+}
+
+function hostMatches(host, domains) {
+  return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+// Find every URL in a message body. `metadataLinks` is whatsapp-web.js' `message.links`
+// ([{ link, isSuspicious }]), which catches links WhatsApp itself recognised.
+function extractLinks(text, metadataLinks = []) {
+  const found = [];
+  const body = text || '';
+
+  for (const match of body.matchAll(URL_PATTERN)) {
+    // A scheme-less match right after these is part of an e-mail address or a longer name;
+    // a scheme marks the start of a URL whatever comes before it ("...https://a.com")
+    const before = body[match.index - 1];
+    if (!/^https?:\/\//i.test(match[0]) && (before === '@' || before === '.' || before === '/')) continue;
+
+    const original = trimEdges(match[0]);
+    if (original) found.push(original);
+  }
+
+  for (const entry of metadataLinks || []) {
+    const original = trimEdges(String(entry?.link || ''));
+    if (original && !found.includes(original)) found.push(original);
+  }
+
+  const seen = new Set();
+  const links = [];
+
+  for (const original of found) {
+    const url = /^https?:\/\//i.test(original) ? original : `https://${original}`;
+    const canonical = canonicalizeUrl(url);
+    if (!canonical || seen.has(canonical)) continue;
+
+    seen.add(canonical);
+    links.push({ original, url, canonical });
+  }
+
+  return links;
+}
+
+// Lowercase the host, drop default ports, fragments and tracking parameters
+function canonicalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/\.$/, '');
+  parsed.hash = '';
+
+  const host = parsed.hostname;
+  for (const key of [...parsed.searchParams.keys()]) {
+    const scopedHosts = HOST_SCOPED_PARAMS[key];
+    if (scopedHosts && !hostMatches(host, scopedHosts)) continue;
+
+    if (TRACKING_PARAMS.some(pattern => pattern.test(key))) {
+      parsed.searchParams.delete(key);
+    }
+  }
+
+  let canonical = parsed.toString();
+  if (!parsed.search) canonical = canonical.replace(/\?$/, '');
+
+  return canonical;
+}
+
+function isShortLink(url) {
+  try {
+    return SHORTENER_HOSTS.has(new URL(url).hostname.toLowerCase());
+  } catch (error) {
+    return false;
+  }
+}
+
+// Follow a known shortener's redirects by hand so the number of hops stays bounded.
+// Returns the final URL, or the input if it can't be resolved.
+async function expandShortLink(url, { maxRedirects = 5, timeout = 5000 } = {}) {
+  if (!isShortLink(url)) return url;
+
+  let current = url;
+  for (let hop = 0; hop < maxRedirects; hop++) {
+    let response;
+    try {
+      response = await axios.request({
+        method: 'HEAD',
+        url: current,
+        maxRedirects: 0,
+        timeout,
+        validateStatus: status => status < 500
+      });
+
+      // Some shorteners refuse HEAD
+      if (response.status === 405) {
+        response = await axios.get(current, {
+          maxRedirects: 0,
+          timeout,
+          responseType: 'stream',
+          validateStatus: status => status < 500
+        });
+        response.data.destroy();
+      }
+    } catch (error) {
+      log.warn('Could not expand short link', { url, error: error.message });
+      return current;
+    }
+
+    const location = response.headers?.location;
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return current;
+    }
+
+    current = new URL(location, current).toString();
+    if (!isShortLink(current)) return current;
+  }
+
+  return current;
+}
+
+// Canonical URL for a link, expanding shorteners first when enabled
+async function resolveLink(link, options = {}) {
+  if (!options.expandShortLinks || !isShortLink(link.url)) {
+    return link;
+  }
+
+  const expanded = await expandShortLink(link.url, options);
+  return {
+    ...link,
+    expanded: expanded !== link.url ? expanded : null,
+    canonical: canonicalizeUrl(expanded) || link.canonical
+  };
+}
+
+module.exports = {
+  extractLinks,
+  canonicalizeUrl,
+  isShortLink,
+  expandShortLink,
+  resolveLink
+};
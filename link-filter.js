@@ -0,0 +1,169 @@
+// Per-user link filtering rules.
+//
+// {
+//   domains: { allow: ['linkedin.com', '*.greenhouse.io', '/^jobs\\./i'], block: ['spam.example'] },
+//   chats: { mode: 'include' | 'exclude', ids: ['123@g.us'], names: ['Job Board'] },
+//   senders: { allow: ['491701234567', '491701234567@c.us'] },
+//   skipOwnMessages: true
+// }
+//
+// Domain patterns: a plain domain matches itself and its subdomains, "*.example.com"
+// matches subdomains only, "/pattern/flags" is a regular expression against the host.
+
+const DEFAULT_RULES = {
+  domains: { allow: [], block: [] },
+  chats: { mode: 'exclude', ids: [], names: [] },
+  senders: { allow: [] },
+  skipOwnMessages: true
+};
+
+function isRegexPattern(pattern) {
+  return /^\/.+\/[a-z]*$/.test(pattern);
+}
+
+function compilePattern(pattern) {
+  if (isRegexPattern(pattern)) {
+    const lastSlash = pattern.lastIndexOf('/');
+    const regex = new RegExp(pattern.slice(1, lastSlash), pattern.slice(lastSlash + 1));
+    return host => regex.test(host);
+  }
+
+  const domain = pattern.toLowerCase().replace(/^\*\./, '');
+  if (pattern.startsWith('*.')) {
+    return host => host.endsWith(`.${domain}`);
+  }
+
+  return host => host === domain || host.endsWith(`.${domain}`);
+}
+
+// Returns a list of problems; empty means the rules are usable
+function validateRules(rules) {
+  const errors = [];
+  if (rules === undefined || rules === null) return errors;
+  if (typeof rules !== 'object' || Array.isArray(rules)) return ['filters must be an object'];
+
+  for (const list of ['allow', 'block']) {
+    const patterns = rules.domains?.[list];
+    if (patterns === undefined) continue;
+    if (!Array.isArray(patterns)) {
+      errors.push(`domains.${list} must be an array`);
+      continue;
+    }
+    for (const pattern of patterns) {
+      if (typeof pattern !== 'string' || !pattern) {
+        errors.push(`domains.${list} contains an invalid pattern`);
+      } else if (isRegexPattern(pattern)) {
+        try {
+          compilePattern(pattern);
+        } catch (error) {
+          errors.push(`domains.${list}: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  if (rules.chats?.mode !== undefined && !['include', 'exclude'].includes(rules.chats.mode)) {
+    errors.push("chats.mode must be 'include' or 'exclude'");
+  }
+  for (const field of ['chats.ids', 'chats.names', 'senders.allow']) {
+    const [section, key] = field.split('.');
+    const value = rules[section]?.[key];
+    if (value !== undefined && (!Array.isArray(value) || !value.every(item => typeof item === 'string' && item))) {
+      errors.push(`${field} must be an array of non-empty strings`);
+    }
+  }
+  if (rules.skipOwnMessages !== undefined && typeof rules.skipOwnMessages !== 'boolean') {
+    errors.push('skipOwnMessages must be a boolean');
+  }
+
+  return errors;
+}
+
+// Merge user rules over the defaults and precompile the domain patterns
+function compileRules(rules = {}) {
+  const merged = {
+    domains: { ...DEFAULT_RULES.domains, ...rules?.domains },
+    chats: { ...DEFAULT_RULES.chats, ...rules?.chats },
+    senders: { ...DEFAULT_RULES.senders, ...rules?.senders },
+    skipOwnMessages: rules?.skipOwnMessages ?? DEFAULT_RULES.skipOwnMessages
+  };
+
+  const compileList = patterns => patterns.map(pattern => ({ pattern, matches: compilePattern(pattern) }));
+
+  return {
+    ...merged,
+    allowMatchers: compileList(merged.domains.allow),
+    blockMatchers: compileList(merged.domains.block)
+  };
+}
+
+function normalizeNumber(id) {
+  return String(id || '').replace(/@.*$/, '').replace(/\D/g, '');
+}
+
+// Message-level checks: own messages, chat scope and sender allowlist.
+// `context` = { fromMe, chatId, chatName, senderId }
+function evaluateMessage(compiled, context) {
+  if (context.fromMe && compiled.skipOwnMessages) {
+    return { allowed: false, rule: { type: 'own_message' } };
+  }
+
+  let chatRule = null;
+  const { mode, ids, names } = compiled.chats;
+  if (ids.length > 0 || names.length > 0) {
+    const chatName = (context.chatName || '').toLowerCase();
+    const idHit = ids.find(id => id === context.chatId);
+    const nameHit = names.find(name => name.toLowerCase() === chatName);
+    const hit = idHit || nameHit;
+
+    if (mode === 'include' && !hit) {
+      return { allowed: false, rule: { type: 'chat_not_included' } };
+    }
+    if (mode === 'exclude' && hit) {
+      return { allowed: false, rule: { type: 'chat_excluded', pattern: hit } };
+    }
+    if (mode === 'include') {
+      chatRule = { type: 'chat_included', pattern: hit };
+    }
+  }
+
+  if (compiled.senders.allow.length > 0 && !context.fromMe) {
+    const senderNumber = normalizeNumber(context.senderId);
+    const hit = compiled.senders.allow.find(sender =>
+      sender === context.senderId || normalizeNumber(sender) === senderNumber
+    );
+    if (!hit) {
+      return { allowed: false, rule: { type: 'sender_not_allowed' } };
+    }
+    return { allowed: true, rule: { type: 'sender_allowed', pattern: hit } };
+  }
+
+  return { allowed: true, rule: chatRule };
+}
+
+// Link-level checks: blocked domains win over allowed domains
+function evaluateLink(compiled, link) {
+  let host;
+  try {
+    host = new URL(link).hostname.toLowerCase();
+  } catch (error) {
+    return { allowed: false, rule: { type: 'invalid_url' } };
+  }
+
+  const blocked = compiled.blockMatchers.find(matcher => matcher.matches(host));
+  if (blocked) {
+    return { allowed: false, rule: { type: 'domain_block', pattern: blocked.pattern } };
+  }
+
+  if (compiled.allowMatchers.length > 0) {
+    const allowed = compiled.allowMatchers.find(matcher => matcher.matches(host));
+    if (!allowed) {
+      return { allowed: false, rule: { type: 'domain_not_allowed' } };
+    }
+    return { allowed: true, rule: { type: 'domain_allow', pattern: allowed.pattern } };
+  }
+
+  return { allowed: true, rule: null };
+}
+
+module.exports = { DEFAULT_RULES, validateRules, compileRules, evaluateMessage, evaluateLink };
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Correlation fields (requestId, eventId) for whatever request or client event is being handled
+const context = new AsyncLocalStorage();
+
+function serializeError(error) {
+  return { message: error.message, name: error.name, stack: error.stack, ...(error.statusCode && { statusCode: error.statusCode }) };
+}
+
+// One JSON object per line: time, level, msg, the logger's bound fields (e.g. userId),
+// the current correlation IDs and any fields passed with the call.
+class Logger {
+  constructor(fields = {}, level = process.env.LOG_LEVEL || 'info') {
+    this.fields = fields;
+    this.level = LEVELS[level] ? level : 'info';
+  }
+
+  child(fields) {
+    return new Logger({ ...this.fields, ...fields }, this.level);
+  }
+
+  // `extra` is an object of fields, or an Error
+  write(level, msg, extra = {}) {
+    if (LEVELS[level] < LEVELS[this.level]) return;
+
+    const fields = extra instanceof Error ? { error: serializeError(extra) } : { ...extra };
+    if (fields.error instanceof Error) fields.error = serializeError(fields.error);
+
+    const line = JSON.stringify({
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...this.fields,
+      ...context.getStore(),
+      ...fields
+    });
+
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+  }
+
+  debug(msg, extra) { this.write('debug', msg, extra); }
+  info(msg, extra) { this.write('info', msg, extra); }
+  warn(msg, extra) { this.write('warn', msg, extra); }
+  error(msg, extra) { this.write('error', msg, extra); }
+}
+
+// Run `fn` with extra correlation fields; they show up in every log line written inside it
+function withContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+function newCorrelationId() {
+  return crypto.randomUUID();
+}
+
+// Express middleware: every request gets a requestId (taken from X-Request-Id when present)
+function requestContext(req, res, next) {
+  const requestId = req.get('X-Request-Id') || newCorrelationId();
+  res.setHeader('X-Request-Id', requestId);
+  withContext({ requestId }, next);
+}
+
+module.exports = {
+  logger: new Logger(),
+  withContext,
+  newCorrelationId,
+  requestContext
+};
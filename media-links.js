@@ -0,0 +1,171 @@
+const { PDFParse } = require('pdf-parse');
+const { extractLinks } = require('./link-extractor');
+
+// Links from everything a message can carry besides its text. Every link is tagged with
+// its `origin`:
+//
+//   text       message body
+//   caption    caption of an image, video or document
+//   document   inside a PDF or text attachment (only with EXTRACT_DOCUMENT_LINKS, up to MEDIA_MAX_BYTES)
+//   vcard      URL fields of shared contact cards
+//   location   map link of a shared location, plus the place's own URL
+//   poll       poll question and options
+
+const TEXT_MIMETYPES = /^text\/(plain|csv|markdown|html|x-markdown)$/i;
+const VCARD_MIMETYPES = /^text\/(x-)?vcard$/i;
+
+// vCard property values escape , ; : and backslash
+function unescapeVcard(value) {
+  return value.replace(/\\([,;:\\])/g, '$1').replace(/\\n/gi, ' ');
+}
+
+// URL and social profile fields of one or more vCards ("item1.URL;type=pref:https://...")
+function vcardUrls(vcard) {
+  const urls = [];
+  const lines = String(vcard || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+  for (const line of lines) {
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const property = line.slice(0, separator).split(';')[0].split('.').pop().toUpperCase();
+    if (property === 'URL' || property === 'X-SOCIALPROFILE') {
+      urls.push(unescapeVcard(line.slice(separator + 1).trim()));
+    }
+  }
+
+  return urls;
+}
+
+// A Google Maps link for the coordinates, and the place's URL when WhatsApp has one
+function locationText(location) {
+  if (!location) return '';
+
+  const parts = [];
+  const { latitude, longitude } = location;
+  if (Number.isFinite(Number(latitude)) && Number.isFinite(Number(longitude))) {
+    parts.push(`https://www.google.com/maps/search/?api=1&query=${Number(latitude)},${Number(longitude)}`);
+  }
+  if (location.url) parts.push(location.url);
+  if (location.description) parts.push(location.description);
+
+  return parts.join('\n');
+}
+
+function pollText(message) {
+  return [message.pollName, ...(message.pollOptions || []).map(option => option.name)].filter(Boolean).join('\n');
+}
+
+// Link annotations are often not part of a PDF's text layer
+function pdfAnnotationUrls(buffer) {
+  const raw = buffer.toString('latin1');
+  return [...raw.matchAll(/\/URI\s*\(((?:\\.|[^\\)])*)\)/g)].map(match => match[1].replace(/\\(.)/g, '$1'));
+}
+
+class MediaLinkExtractor {
+  constructor(options = {}) {
+    this.downloadDocuments = options.downloadDocuments ?? process.env.EXTRACT_DOCUMENT_LINKS === 'true';
+    this.maxBytes = options.maxBytes || parseInt(process.env.MEDIA_MAX_BYTES, 10) || 5 * 1024 * 1024;
+    this.log = options.log;
+  }
+
+  // Every link in a message apart from those inside an attachment (see documentLinks), each
+  // canonical URL once, the first origin it was found in winning
+  extract(message) {
+    const links = [];
+    const seen = new Set();
+    const add = (found, origin) => {
+      for (const link of found) {
+        if (seen.has(link.canonical)) continue;
+        seen.add(link.canonical);
+        links.push({ ...link, origin });
+      }
+    };
+
+    switch (message.type) {
+      case 'vcard':
+      case 'multi_vcard': {
+        // The body is the vCard itself
+        const vcards = message.vCards?.length ? message.vCards : [message.body];
+        add(extractLinks(vcards.flatMap(vcardUrls).join('\n')), 'vcard');
+        break;
+      }
+      case 'location':
+        // The body of a location message is its thumbnail
+        add(extractLinks(locationText(message.location)), 'location');
+        break;
+      case 'poll_creation':
+        add(extractLinks(pollText(message)), 'poll');
+        break;
+      default: {
+        const origin = ['image', 'video', 'document'].includes(message.type) ? 'caption' : 'text';
+        add(extractLinks(message.body || '', message.links), origin);
+      }
+    }
+
+    return links;
+  }
+
+  // Whether documentLinks would download the message's attachment
+  hasDocument(message) {
+    return message.type === 'document' && !!message.hasMedia && this.downloadDocuments;
+  }
+
+  // Links inside the attached document that aren't among `known` already
+  async documentLinks(message, known = []) {
+    if (!this.hasDocument(message)) return [];
+
+    const seen = new Set(known.map(link => link.canonical));
+    return extractLinks(await this.documentText(message))
+      .filter(link => !seen.has(link.canonical))
+      .map(link => ({ ...link, origin: 'document' }));
+  }
+
+  // Text of a PDF, plain text or vCard attachment; empty for other types or when it is too large
+  async documentText(message) {
+    const info = message._data || {};
+    const mimetype = (info.mimetype || '').split(';')[0].trim();
+    const supported = mimetype === 'application/pdf' || TEXT_MIMETYPES.test(mimetype) || VCARD_MIMETYPES.test(mimetype);
+    if (!supported) return '';
+
+    // Checked before downloading when WhatsApp tells us the size, and again after
+    if (info.size > this.maxBytes) {
+      this.log?.info('Skipping document over the size limit', { messageId: message.id._serialized, size: info.size, maxBytes: this.maxBytes });
+      return '';
+    }
+
+    try {
+      const media = await message.downloadMedia();
+      if (!media?.data) return '';
+
+      const buffer = Buffer.from(media.data, 'base64');
+      if (buffer.length > this.maxBytes) return '';
+
+      if (mimetype === 'application/pdf') {
+        // Annotations are still worth having when the text layer can't be parsed
+        return [await this.pdfText(message, buffer), ...pdfAnnotationUrls(buffer)].join('\n');
+      }
+      if (VCARD_MIMETYPES.test(mimetype)) {
+        return vcardUrls(buffer.toString('utf8')).join('\n');
+      }
+      return buffer.toString('utf8');
+    } catch (error) {
+      this.log?.warn('Could not read document', { messageId: message.id._serialized, mimetype, error: error.message });
+      return '';
+    }
+  }
+
+  async pdfText(message, buffer) {
+    const parser = new PDFParse({ data: buffer });
+    try {
+      return (await parser.getText()).text;
+    } catch (error) {
+      this.log?.warn('Could not parse PDF text', { messageId: message.id._serialized, error: error.message });
+      return '';
+    } finally {
+      await parser.destroy();
+    }
+  }
+}
+
+module.exports = { MediaLinkExtractor, vcardUrls, locationText };
@@ -0,0 +1,144 @@
+const client = require('prom-client');
+
+// Prometheus metrics for GET /metrics. Counters are recorded where things happen
+// (bot, supervisor, delivery queue); bot gauges are computed on every scrape.
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+// Set by trackBots() once the server has its bot map and resource governor
+let sources = null;
+
+const bots = new client.Gauge({
+  name: 'whatsapp_bots',
+  help: 'Bots on this instance by status',
+  labelNames: ['status'],
+  registers: [register],
+  collect() {
+    this.reset();
+    if (!sources) return;
+
+    for (const bot of sources.bots.values()) {
+      this.inc({ status: bot.getStatus() });
+    }
+  }
+});
+
+const queuedStarts = new client.Gauge({
+  name: 'whatsapp_queued_starts',
+  help: 'Bot starts waiting for capacity',
+  registers: [register],
+  collect() {
+    this.set(sources ? sources.governor.queue.length : 0);
+  }
+});
+
+const browserMemory = new client.Gauge({
+  name: 'whatsapp_browser_memory_bytes',
+  help: 'Resident memory of each bot\'s Chromium process tree, from the last resource check',
+  labelNames: ['user_id'],
+  registers: [register],
+  collect() {
+    this.reset();
+    if (!sources) return;
+
+    for (const [userId, rss] of sources.governor.browserRss) {
+      this.set({ user_id: userId }, rss);
+    }
+  }
+});
+
+const messagesProcessed = new client.Counter({
+  name: 'whatsapp_messages_processed_total',
+  help: 'Messages checked for links, live or from a history backfill',
+  labelNames: ['backfill'],
+  registers: [register]
+});
+
+const linksDetected = new client.Counter({
+  name: 'whatsapp_links_detected_total',
+  help: 'Links that passed the filter rules and deduplication and were dispatched',
+  registers: [register]
+});
+
+const qrCodes = new client.Counter({
+  name: 'whatsapp_qr_codes_total',
+  help: 'QR codes generated for login',
+  registers: [register]
+});
+
+const pairingCodes = new client.Counter({
+  name: 'whatsapp_pairing_codes_total',
+  help: 'Pairing codes received for login',
+  registers: [register]
+});
+
+const reconnects = new client.Counter({
+  name: 'whatsapp_reconnects_total',
+  help: 'Reconnect attempts scheduled by the supervisor',
+  registers: [register]
+});
+
+const reconnectsExhausted = new client.Counter({
+  name: 'whatsapp_reconnects_exhausted_total',
+  help: 'Bots that gave up reconnecting after the maximum number of attempts',
+  registers: [register]
+});
+
+const enrichments = new client.Counter({
+  name: 'link_enrichments_total',
+  help: 'Link metadata lookups by outcome (cache_hit, fetched, failed, blocked, over_budget)',
+  labelNames: ['outcome'],
+  registers: [register]
+});
+
+const relayedMessages = new client.Counter({
+  name: 'whatsapp_relayed_messages_total',
+  help: 'Messages posted by chat relay rules by outcome (sent, failed, dropped)',
+  labelNames: ['outcome'],
+  registers: [register]
+});
+
+const chatCommands = new client.Counter({
+  name: 'whatsapp_chat_commands_total',
+  help: 'Chat commands received by command and outcome (ok, error, unknown)',
+  labelNames: ['command', 'outcome'],
+  registers: [register]
+});
+
+const deliveries = new client.Counter({
+  name: 'webhook_deliveries_total',
+  help: 'Webhook and callback delivery attempts by outcome (delivered, retry, dead)',
+  labelNames: ['channel', 'outcome'],
+  registers: [register]
+});
+
+const deliveryDuration = new client.Histogram({
+  name: 'webhook_delivery_duration_seconds',
+  help: 'Duration of webhook and callback delivery attempts',
+  labelNames: ['channel'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+function trackBots(botMap, governor) {
+  sources = { bots: botMap, governor };
+}
+
+module.exports = {
+  register,
+  trackBots,
+  bots,
+  queuedStarts,
+  browserMemory,
+  messagesProcessed,
+  linksDetected,
+  qrCodes,
+  pairingCodes,
+  reconnects,
+  reconnectsExhausted,
+  enrichments,
+  relayedMessages,
+  chatCommands,
+  deliveries,
+  deliveryDuration
+};
@@ -0,0 +1,165 @@
+const { MessageMedia } = require('whatsapp-web.js');
+const RateLimiter = require('./rate-limiter');
+const { getPublic } = require('./public-http');
+
+// whatsapp-web.js ack levels
+const ACK_STATES = {
+  '-1': 'error',
+  0: 'pending',
+  1: 'sent',
+  2: 'delivered',
+  3: 'read',
+  4: 'played'
+};
+
+const MAX_TRACKED_MESSAGES = 1000;
+
+// Errors carry the HTTP status the API should answer with
+function sendError(message, statusCode, extra = {}) {
+  return Object.assign(new Error(message), { statusCode }, extra);
+}
+
+// Accept a phone number ("+49 170 1234567") or a WhatsApp ID ("...@c.us" / "...@g.us")
+function toChatId(to) {
+  const value = String(to || '').trim();
+  if (value.includes('@')) return value;
+
+  const digits = value.replace(/\D/g, '');
+  return digits ? `${digits}@c.us` : null;
+}
+
+// Sends messages through a bot's session, rate limited per user,
+// and follows their delivery state through message_ack events.
+class OutboundMessenger {
+  constructor(bot, options = {}) {
+    this.bot = bot;
+    this.limiter = new RateLimiter({
+      perMinute: options.perMinute || parseInt(process.env.OUTBOUND_RATE_PER_MINUTE, 10) || 20,
+      burst: options.burst || parseInt(process.env.OUTBOUND_BURST, 10) || 5
+    });
+    this.mediaMaxBytes = options.mediaMaxBytes || parseInt(process.env.OUTBOUND_MEDIA_MAX_BYTES, 10) || 16 * 1024 * 1024;
+    this.mediaTimeoutMs = options.mediaTimeoutMs || 30000;
+    // Tests fetch media from local servers; never enabled from the environment
+    this.allowPrivate = !!options.allowPrivate;
+    this.sent = new Map();
+  }
+
+  async sendText(to, text, { replyTo } = {}) {
+    if (!text) throw sendError('text is required', 400);
+    const chatId = this.admit(to);
+    return this.send(chatId, text, { quotedMessageId: replyTo }, 'text');
+  }
+
+  // Connection and rate limit are checked before the media is fetched
+  async sendMedia(to, media, { caption, replyTo } = {}) {
+    const chatId = this.admit(to);
+    const messageMedia = await this.loadMedia(media);
+    return this.send(chatId, messageMedia, { caption, quotedMessageId: replyTo }, 'media');
+  }
+
+  async loadMedia(media = {}) {
+    if (media.url) return this.fetchMedia(media.url, media.filename);
+
+    if (media.data) {
+      if (!media.mimetype) throw sendError('media.mimetype is required for base64 media', 400);
+
+      // Tolerate data URLs as well as bare base64
+      const data = media.data.replace(/^data:[^;]+;base64,/, '');
+      return new MessageMedia(media.mimetype, data, media.filename || null);
+    }
+
+    throw sendError('media.url or media.data is required', 400);
+  }
+
+  // Media URLs come from API callers, so only public addresses are fetched (see public-http.js)
+  async fetchMedia(url, filename) {
+    let response;
+    try {
+      response = await getPublic(url, {
+        responseType: 'arraybuffer',
+        allowPrivate: this.allowPrivate,
+        timeout: this.mediaTimeoutMs,
+        maxContentLength: this.mediaMaxBytes,
+        headers: { 'User-Agent': 'WhatsApp-Bot-Enhanced/1.0' }
+      });
+    } catch (error) {
+      throw sendError(`Could not fetch media: ${error.message}`, 400);
+    }
+
+    if (response.status >= 400) {
+      throw sendError(`Could not fetch media: HTTP ${response.status}`, 400);
+    }
+
+    const mimetype = (response.headers['content-type'] || 'application/octet-stream').split(';')[0].trim();
+    const name = filename || new URL(response.url).pathname.split('/').pop() || null;
+    return new MessageMedia(mimetype, Buffer.from(response.data).toString('base64'), name);
+  }
+
+  // The chat ID to send to, once the session is connected and the rate limit allows a message
+  admit(to) {
+    const chatId = toChatId(to);
+    if (!chatId) throw sendError('to must be a phone number or WhatsApp ID', 400);
+
+    if (!this.bot.isConnected()) {
+      throw sendError(`WhatsApp session is not connected (status: ${this.bot.getStatus()})`, 409);
+    }
+
+    const { allowed, retryAfterMs } = this.limiter.tryRemove();
+    if (!allowed) {
+      throw sendError('Outbound rate limit exceeded', 429, { retryAfterMs });
+    }
+
+    return chatId;
+  }
+
+  async send(chatId, content, options, kind) {
+    const sendOptions = {};
+    if (options.quotedMessageId) sendOptions.quotedMessageId = options.quotedMessageId;
+    if (options.caption) sendOptions.caption = options.caption;
+
+    const message = await this.bot.client.sendMessage(chatId, content, sendOptions);
+
+    const record = {
+      id: message.id._serialized,
+      to: chatId,
+      kind,
+      replyTo: options.quotedMessageId || null,
+      ack: message.ack ?? 0,
+      state: ACK_STATES[message.ack ?? 0],
+      sentAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    this.track(record);
+    this.bot.log.info('Sent message', { kind, messageId: record.id, to: chatId });
+
+    return record;
+  }
+
+  track(record) {
+    this.sent.set(record.id, record);
+
+    // Forget the oldest messages once we track too many
+    if (this.sent.size > MAX_TRACKED_MESSAGES) {
+      this.sent.delete(this.sent.keys().next().value);
+    }
+  }
+
+  get(messageId) {
+    return this.sent.get(messageId) || null;
+  }
+
+  // Called for every message_ack; returns the updated record for messages we sent
+  handleAck(message, ack) {
+    const record = this.sent.get(message.id._serialized);
+    if (!record) return null;
+
+    record.ack = ack;
+    record.state = ACK_STATES[ack] || 'unknown';
+    record.updatedAt = new Date().toISOString();
+
+    return record;
+  }
+}
+
+module.exports = OutboundMessenger;
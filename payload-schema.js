@@ -0,0 +1,197 @@
+// link_detected payload schemas.
+//
+// v1 is the original flat shape, which differs between the user webhook (snake_case)
+// and the Supabase callback (camelCase). v2 is one nested schema shared by both channels.
+
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'payload-schema' });
+
+const PAYLOAD_VERSIONS = [1, 2];
+const DEFAULT_PAYLOAD_VERSION = 1;
+
+// Everything we know about the message a link came from, gathered once per message
+async function buildMessageContext(message) {
+  const chat = await message.getChat();
+  const contact = await message.getContact();
+
+  let quoted = null;
+  if (message.hasQuotedMsg) {
+    try {
+      const quotedMessage = await message.getQuotedMessage();
+      if (quotedMessage) {
+        quoted = {
+          id: quotedMessage.id._serialized,
+          text: quotedMessage.body || '',
+          senderId: quotedMessage.author || quotedMessage.from,
+          fromMe: quotedMessage.fromMe,
+          timestamp: toIsoTimestamp(quotedMessage.timestamp)
+        };
+      }
+    } catch (error) {
+      log.warn('Could not load quoted message', { messageId: message.id._serialized, error: error.message });
+    }
+  }
+
+  return {
+    messageId: message.id._serialized,
+    messageText: messageText(message),
+    messageType: message.type,
+    timestamp: toIsoTimestamp(message.timestamp),
+    fromMe: message.fromMe,
+    forwarded: !!message.isForwarded,
+    forwardingScore: message.forwardingScore || 0,
+    hasMedia: !!message.hasMedia,
+    chatId: chat.id._serialized,
+    chatName: chat.name,
+    isGroup: !!chat.isGroup,
+    senderId: message.author || message.from,
+    senderName: contact.pushname || contact.name || contact.number || 'Unknown',
+    senderPhone: contact.number || null,
+    quoted
+  };
+}
+
+// The body of a location message is its thumbnail, polls keep their question elsewhere
+function messageText(message) {
+  if (message.type === 'location') return message.location?.description || '';
+  if (message.type === 'poll_creation') return message.pollName || '';
+  return message.body || '';
+}
+
+function toIsoTimestamp(unixSeconds) {
+  return unixSeconds ? new Date(unixSeconds * 1000).toISOString() : null;
+}
+
+// Page metadata from link enrichment, in the snake_case of the webhook and v2 payloads
+function snakeCaseMetadata(metadata) {
+  if (!metadata) return null;
+
+  return {
+    title: metadata.title,
+    description: metadata.description,
+    image: metadata.image,
+    site_name: metadata.siteName,
+    type: metadata.type,
+    content_type: metadata.contentType,
+    author: metadata.author || null
+  };
+}
+
+// Original flat webhook payload; fields are only ever added for existing receivers
+function buildWebhookV1({ userId, link, context, matchedRule, seen }) {
+  const payload = {
+    link: link.url,
+    canonical_link: link.canonical,
+    expanded_link: link.expanded || null,
+    link_origin: link.origin || 'text',
+    sender: context.senderName,
+    message: context.messageText,
+    timestamp: new Date().toISOString(),
+    source: 'whatsapp-web',
+    user_id: userId,
+    matched_rule: matchedRule
+  };
+
+  if (context.backfill) payload.backfill = true;
+  if (link.metadata) payload.link_metadata = snakeCaseMetadata(link.metadata);
+
+  if (seen) {
+    payload.duplicate_count = seen.hits - 1;
+    payload.also_seen_in = seen.chats.slice(1).map(chat => ({
+      chat_id: chat.chatId,
+      chat_name: chat.chatName,
+      sender: chat.sender,
+      seen_at: chat.seenAt
+    }));
+  }
+
+  return payload;
+}
+
+function buildCallbackV1({ userId, link, context, matchedRule, seen }) {
+  return {
+    type: 'link_detected',
+    userId,
+    link: link.url,
+    canonicalLink: link.canonical,
+    expandedLink: link.expanded || null,
+    linkOrigin: link.origin || 'text',
+    sender: context.senderName,
+    message: context.messageText,
+    matchedRule,
+    ...(link.metadata && { linkMetadata: link.metadata }),
+    ...(context.backfill && { backfill: true }),
+    ...(seen && { duplicateCount: seen.hits - 1, alsoSeenIn: seen.chats.slice(1) }),
+    timestamp: new Date().toISOString()
+  };
+}
+
+function buildV2({ userId, link, context, matchedRule, seen }) {
+  return {
+    schema_version: 2,
+    type: 'link_detected',
+    user_id: userId,
+    source: 'whatsapp-web',
+    backfill: !!context.backfill,
+    detected_at: new Date().toISOString(),
+    link: {
+      url: link.url,
+      original: link.original,
+      canonical: link.canonical,
+      expanded: link.expanded || null,
+      origin: link.origin || 'text',
+      metadata: snakeCaseMetadata(link.metadata)
+    },
+    matched_rule: matchedRule,
+    message: {
+      id: context.messageId,
+      text: context.messageText,
+      type: context.messageType,
+      timestamp: context.timestamp,
+      from_me: context.fromMe,
+      forwarded: context.forwarded,
+      forwarding_score: context.forwardingScore,
+      has_media: context.hasMedia
+    },
+    chat: {
+      id: context.chatId,
+      name: context.chatName,
+      is_group: context.isGroup
+    },
+    sender: {
+      id: context.senderId,
+      name: context.senderName,
+      phone: context.senderPhone
+    },
+    quoted_message: context.quoted && {
+      id: context.quoted.id,
+      text: context.quoted.text,
+      sender_id: context.quoted.senderId,
+      from_me: context.quoted.fromMe,
+      timestamp: context.quoted.timestamp
+    },
+    dedup: seen ? {
+      duplicate_count: seen.hits - 1,
+      also_seen_in: seen.chats.slice(1).map(chat => ({
+        chat_id: chat.chatId,
+        chat_name: chat.chatName,
+        sender: chat.sender,
+        seen_at: chat.seenAt
+      }))
+    } : null
+  };
+}
+
+// `channel` is 'webhook' or 'callback'; v2 ignores it since both share the schema
+function buildLinkPayload(version, channel, event) {
+  if (version === 2) return buildV2(event);
+  return channel === 'webhook' ? buildWebhookV1(event) : buildCallbackV1(event);
+}
+
+module.exports = {
+  PAYLOAD_VERSIONS,
+  DEFAULT_PAYLOAD_VERSION,
+  buildMessageContext,
+  buildLinkPayload
+};
@@ -0,0 +1,84 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const ipaddr = require('ipaddr.js');
+
+// Outbound requests to URLs users or chat messages supply (link previews, media to send).
+// Only public unicast addresses may be reached; everything else (loopback, RFC 1918,
+// link-local incl. cloud metadata, CGNAT, ULA, multicast, ...) is refused.
+
+function isPublicAddress(address) {
+  try {
+    let parsed = ipaddr.parse(address);
+    if (parsed.kind() === 'ipv6' && parsed.isIPv4MappedAddress()) parsed = parsed.toIPv4Address();
+    return parsed.range() === 'unicast';
+  } catch (error) {
+    return false;
+  }
+}
+
+// dns.lookup replacement for the HTTP agents: the address is checked after resolution,
+// right before connecting, so a hostname can't be rebound to a private address in between
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      return callback(Object.assign(new Error(`Refusing to fetch ${hostname}: ${blocked.address} is not a public address`), { code: 'EBLOCKED' }));
+    }
+
+    callback(null, address, family);
+  });
+}
+
+const publicAgents = {
+  httpAgent: new http.Agent({ lookup: safeLookup }),
+  httpsAgent: new https.Agent({ lookup: safeLookup })
+};
+
+// GET with redirects followed by hand so every hop goes through the address checks.
+// Resolves with the final axios response (any status) and its `url`. `allowPrivate` is
+// for tests against local servers only.
+async function getPublic(url, { maxRedirects = 3, allowPrivate = false, ...config } = {}) {
+  let current = url;
+
+  for (let hop = 0; hop <= maxRedirects; hop++) {
+    const target = new URL(current);
+    if (!['http:', 'https:'].includes(target.protocol)) {
+      throw new Error(`Unsupported protocol ${target.protocol}`);
+    }
+    // IP literals never reach the agent's lookup
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !allowPrivate && !isPublicAddress(host)) {
+      throw Object.assign(new Error(`Refusing to fetch ${host}: not a public address`), { code: 'EBLOCKED' });
+    }
+
+    const response = await axios.get(current, {
+      ...config,
+      ...(!allowPrivate && publicAgents),
+      maxRedirects: 0,
+      validateStatus: () => true
+    });
+
+    const location = response.headers.location;
+    if (response.status >= 300 && response.status < 400 && location) {
+      if (config.responseType === 'stream') response.data.destroy();
+      current = new URL(location, current).toString();
+      continue;
+    }
+
+    return Object.assign(response, { url: current });
+  }
+
+  throw new Error(`More than ${maxRedirects} redirects`);
+}
+
+module.exports = {
+  isPublicAddress,
+  safeLookup,
+  getPublic
+};
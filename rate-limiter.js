@@ -0,0 +1,29 @@
+// Token bucket: `burst` messages can go out back to back, after that `perMinute` refill the bucket
+class RateLimiter {
+  constructor({ perMinute = 20, burst = 5 } = {}) {
+    this.capacity = burst;
+    this.refillPerMs = perMinute / 60000;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = now;
+  }
+
+  // Take a token if one is available; otherwise report how long until the next one
+  tryRemove() {
+    this.refill();
+
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return { allowed: true, retryAfterMs: 0 };
+    }
+
+    return { allowed: false, retryAfterMs: Math.ceil((1 - this.tokens) / this.refillPerMs) };
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const Mustache = require('mustache');
+const { validateRules, compileRules, evaluateLink } = require('./link-filter');
+
+// Chat-to-chat relay rules: links detected in the source chats are posted by the bot
+// itself into a target chat.
+//
+// {
+//   id: '5d41402a-...',
+//   sources: ['Job Board Berlin', '120363012345678901@g.us'],  // chat IDs or names, or ['*']
+//   target: '120363098765432109@g.us',                          // chat ID or phone number
+//   domains: ['linkedin.com', '*.greenhouse.io'],               // optional, link filter domain patterns
+//   template: '🔗 {{url}}\nShared by {{sender}} in {{chat}}',  // Mustache, fields below
+//   mode: 'instant',                                            // or 'digest'
+//   digestIntervalMinutes: 60,                                  // digest mode only
+//   enabled: true,
+//   description: 'Curated jobs'
+// }
+//
+// Template fields: url, canonical_url, domain, title (with link enrichment), sender,
+// sender_phone, chat (empty for direct chats), message, description.
+
+const RELAY_MODES = ['instant', 'digest'];
+const DEFAULT_TEMPLATE = '🔗 {{url}}\nShared by {{sender}}{{#chat}} in {{chat}}{{/chat}}';
+const DEFAULT_DIGEST_INTERVAL_MINUTES = 60;
+
+// Returns a list of problems; empty means the rule is usable.
+// Updates are checked merged over the stored rule.
+function validateRelay(fields) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) return ['body must be an object'];
+
+  const errors = [];
+  const { sources, target, domains, template, mode, digestIntervalMinutes, enabled, description } = fields;
+
+  if (!Array.isArray(sources) || sources.length === 0 || !sources.every(source => typeof source === 'string' && source)) {
+    errors.push('sources must be a non-empty array of chat IDs or names');
+  }
+  if (typeof target !== 'string' || !target.trim()) {
+    errors.push('target must be a chat ID or phone number');
+  } else if (Array.isArray(sources) && sources.includes(target)) {
+    errors.push('target must not be one of the sources');
+  }
+
+  if (domains !== undefined && domains !== null) {
+    if (!Array.isArray(domains)) {
+      errors.push('domains must be an array');
+    } else {
+      errors.push(...validateRules({ domains: { allow: domains } }).map(error => error.replace('domains.allow', 'domains')));
+    }
+  }
+
+  if (template !== undefined && template !== null) {
+    if (typeof template !== 'string' || !template.trim()) {
+      errors.push('template must be a non-empty string');
+    } else {
+      try {
+        Mustache.parse(template);
+      } catch (error) {
+        errors.push(`template: ${error.message}`);
+      }
+    }
+  }
+
+  if (mode !== undefined && !RELAY_MODES.includes(mode)) {
+    errors.push(`mode must be one of ${RELAY_MODES.join(', ')}`);
+  }
+  if (digestIntervalMinutes !== undefined && (!Number.isInteger(digestIntervalMinutes) || digestIntervalMinutes < 1)) {
+    errors.push('digestIntervalMinutes must be a positive integer');
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    errors.push('description must be a string');
+  }
+
+  return errors;
+}
+
+// New rule from validated request fields
+function createRelay(fields) {
+  const now = new Date().toISOString();
+
+  return {
+    id: crypto.randomUUID(),
+    sources: fields.sources,
+    target: fields.target.trim(),
+    domains: fields.domains || [],
+    template: fields.template || DEFAULT_TEMPLATE,
+    mode: fields.mode || 'instant',
+    digestIntervalMinutes: fields.digestIntervalMinutes || DEFAULT_DIGEST_INTERVAL_MINUTES,
+    enabled: fields.enabled ?? true,
+    description: fields.description || '',
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+// Apply validated partial fields; fields that are absent stay as they are
+function updateRelay(relay, fields) {
+  const updated = { ...relay, updatedAt: new Date().toISOString() };
+
+  for (const key of ['sources', 'target', 'domains', 'template', 'mode', 'digestIntervalMinutes', 'enabled', 'description']) {
+    if (fields[key] !== undefined) updated[key] = fields[key];
+  }
+
+  return updated;
+}
+
+// Rules with their domain patterns precompiled, as the bot keeps them
+function compileRelays(relays = []) {
+  return relays.map(relay => ({
+    ...relay,
+    compiledFilter: relay.domains?.length ? compileRules({ domains: { allow: relay.domains } }) : null
+  }));
+}
+
+function matchesChat(patterns, context) {
+  const name = (context.chatName || '').toLowerCase();
+  return patterns.some(pattern => pattern === '*' || pattern === context.chatId || pattern.toLowerCase() === name);
+}
+
+// Whether a link from this message is relayed by the rule
+function relayAccepts(relay, link, context) {
+  if (relay.enabled === false) return false;
+  if (!matchesChat(relay.sources, context)) return false;
+  // Never post a link back into the chat it came from
+  if (isTarget(relay, context.chatId)) return false;
+
+  return !relay.compiledFilter || evaluateLink(relay.compiledFilter, link.canonical).allowed;
+}
+
+// Targets may be given as a phone number; compare in chat ID form
+function isTarget(relay, chatId) {
+  if (!chatId) return false;
+  const target = relay.target.includes('@') ? relay.target : `${relay.target.replace(/\D/g, '')}@c.us`;
+  return target === chatId;
+}
+
+function templateFields(link, context, relay) {
+  let domain = '';
+  try {
+    domain = new URL(link.canonical).hostname;
+  } catch (error) {
+    // Left empty
+  }
+
+  return {
+    url: link.expanded || link.url,
+    canonical_url: link.canonical,
+    domain,
+    title: link.metadata?.title || '',
+    sender: context.senderName || '',
+    sender_phone: context.senderPhone || '',
+    chat: context.isGroup ? context.chatName : '',
+    message: context.messageText || '',
+    description: relay.description || ''
+  };
+}
+
+// WhatsApp text is sent as is, so nothing is HTML-escaped
+function renderRelay(relay, link, context) {
+  return Mustache.render(relay.template || DEFAULT_TEMPLATE, templateFields(link, context, relay), {}, { escape: value => String(value) }).trim();
+}
+
+function describeRelay(relay) {
+  const { compiledFilter, ...rest } = relay;
+  return rest;
+}
+
+module.exports = {
+  RELAY_MODES,
+  DEFAULT_TEMPLATE,
+  validateRelay,
+  createRelay,
+  updateRelay,
+  compileRelays,
+  relayAccepts,
+  isTarget,
+  renderRelay,
+  describeRelay
+};
@@ -0,0 +1,234 @@
+const fs = require('fs');
+const EventEmitter = require('events');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'resource-governor' });
+
+const MB = 1024 * 1024;
+
+// Statuses in which a bot has no browser running and doesn't take up a slot
+const IDLE_STATUSES = new Set(['login_timeout', 'failed', 'logged_out', 'evicted']);
+// Waiting for the user to scan the QR or enter the pairing code
+const UNSCANNED_STATUSES = new Set(['qr_ready', 'pairing_code_ready']);
+
+// Resident memory of a process and all its descendants, from /proc (Linux only; null elsewhere)
+function processTreeRss(rootPid) {
+  if (!rootPid) return null;
+
+  try {
+    const children = new Map();
+    for (const entry of fs.readdirSync('/proc')) {
+      if (!/^\d+$/.test(entry)) continue;
+      try {
+        // Field 4 of /proc/<pid>/stat is the parent pid; the command name before it may contain spaces
+        const stat = fs.readFileSync(`/proc/${entry}/stat`, 'utf8');
+        const ppid = parseInt(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1], 10);
+        if (!children.has(ppid)) children.set(ppid, []);
+        children.get(ppid).push(parseInt(entry, 10));
+      } catch (error) {
+        // Process exited while we were looking
+      }
+    }
+
+    let total = 0;
+    const pending = [rootPid];
+    while (pending.length > 0) {
+      const pid = pending.pop();
+      try {
+        const match = fs.readFileSync(`/proc/${pid}/status`, 'utf8').match(/^VmRSS:\s+(\d+) kB/m);
+        if (match) total += parseInt(match[1], 10) * 1024;
+      } catch (error) {
+        continue;
+      }
+      pending.push(...(children.get(pid) || []));
+    }
+
+    return total;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Decides whether another bot may start. Starts beyond MAX_CONCURRENT_BOTS, or that
+// would push the measured memory (Node + every bot's Chromium tree) over MEMORY_LIMIT_MB,
+// wait in a FIFO queue. While starts are waiting, bots that have shown a QR / pairing
+// code for longer than QR_EVICT_AFTER_MS without being scanned are evicted to make room.
+class ResourceGovernor extends EventEmitter {
+  constructor(bots, options = {}) {
+    super();
+    this.bots = bots; // userId -> WhatsAppBot, shared with the server
+    this.maxBots = options.maxBots ?? (parseInt(process.env.MAX_CONCURRENT_BOTS, 10) || 0); // 0 = no limit
+    this.maxQueue = options.maxQueue ?? (parseInt(process.env.START_QUEUE_MAX, 10) || 20);
+    this.memoryLimitMb = options.memoryLimitMb ?? (parseInt(process.env.MEMORY_LIMIT_MB, 10) || 0); // 0 = no limit
+    this.botEstimateMb = options.botEstimateMb || parseInt(process.env.BOT_MEMORY_ESTIMATE_MB, 10) || 300;
+    this.evictAfterMs = options.evictAfterMs || parseInt(process.env.QR_EVICT_AFTER_MS, 10) || 120000;
+    this.checkIntervalMs = options.checkIntervalMs || parseInt(process.env.RESOURCE_CHECK_INTERVAL_MS, 10) || 15000;
+
+    this.queue = []; // [{ userId, launch, reason, queuedAt }]
+    this.browserRss = new Map(); // userId -> bytes, from the last measurement
+    this.unscannedSince = new Map(); // userId -> ms timestamp
+    this.timer = null;
+  }
+
+  start() {
+    this.timer = setInterval(() => this.check(), this.checkIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Follow a bot's status to know how long it has been waiting for a scan
+  track(bot) {
+    bot.on('status_change', ({ status }) => {
+      if (!UNSCANNED_STATUSES.has(status)) {
+        this.unscannedSince.delete(bot.userId);
+      } else if (!this.unscannedSince.has(bot.userId)) {
+        this.unscannedSince.set(bot.userId, Date.now());
+      }
+
+      // A bot that lost its browser frees a slot
+      if (IDLE_STATUSES.has(status)) this.drain();
+    });
+  }
+
+  activeBots() {
+    return Array.from(this.bots.values()).filter(bot => !IDLE_STATUSES.has(bot.getStatus())).length;
+  }
+
+  measure() {
+    for (const userId of this.browserRss.keys()) {
+      if (!this.bots.has(userId)) this.browserRss.delete(userId);
+    }
+
+    for (const [userId, bot] of this.bots) {
+      const pid = bot.client?.pupBrowser?.process()?.pid;
+      const rss = IDLE_STATUSES.has(bot.getStatus()) ? null : processTreeRss(pid);
+
+      if (rss) {
+        this.browserRss.set(userId, rss);
+      } else {
+        this.browserRss.delete(userId);
+      }
+    }
+  }
+
+  // Memory in MB: this process, every bot's browser, and the expected cost of one more bot
+  usage() {
+    const measured = Array.from(this.browserRss.values());
+    const browsers = measured.reduce((sum, rss) => sum + rss, 0);
+    const perBot = measured.length > 0 ? browsers / measured.length / MB : this.botEstimateMb;
+    const node = process.memoryUsage().rss;
+
+    return {
+      node_rss_mb: Math.round(node / MB),
+      browsers_rss_mb: Math.round(browsers / MB),
+      total_mb: Math.round((node + browsers) / MB),
+      per_bot_estimate_mb: Math.round(perBot),
+      limit_mb: this.memoryLimitMb || null
+    };
+  }
+
+  // Why another bot can't start right now, or null when it can
+  capacityBlocker() {
+    if (this.maxBots && this.activeBots() >= this.maxBots) return 'max_bots';
+
+    if (this.memoryLimitMb) {
+      const { total_mb: total, per_bot_estimate_mb: perBot } = this.usage();
+      if (total + perBot > this.memoryLimitMb) return 'memory';
+    }
+
+    return null;
+  }
+
+  // Start now, queue, or refuse. `launch` creates and initializes the bot.
+  requestStart(userId, launch) {
+    this.cancel(userId);
+
+    // Queued users go first, otherwise a later start could overtake them
+    const reason = this.queue.length > 0 ? 'queue' : this.capacityBlocker();
+    if (!reason) {
+      launch();
+      return { admitted: true };
+    }
+
+    if (this.queue.length >= this.maxQueue) {
+      return { admitted: false, queued: false, reason };
+    }
+
+    this.queue.push({ userId, launch, reason, queuedAt: new Date().toISOString() });
+    log.info('Queued bot start', { userId, reason, position: this.queue.length });
+
+    return { admitted: false, queued: true, reason, position: this.queue.length };
+  }
+
+  cancel(userId) {
+    this.queue = this.queue.filter(entry => entry.userId !== userId);
+  }
+
+  // 1-based queue position, or null when the user isn't waiting
+  position(userId) {
+    const index = this.queue.findIndex(entry => entry.userId === userId);
+    return index === -1 ? null : index + 1;
+  }
+
+  // Launch queued starts while there is room
+  drain() {
+    while (this.queue.length > 0 && !this.capacityBlocker()) {
+      const entry = this.queue.shift();
+      log.info('Starting queued bot', { userId: entry.userId });
+      entry.launch();
+
+      // Its browser isn't measured yet; admit the next one after the next measurement
+      if (this.memoryLimitMb) break;
+    }
+  }
+
+  check() {
+    try {
+      this.measure();
+      if (this.queue.length > 0) this.evictUnscanned();
+      this.drain();
+    } catch (error) {
+      log.error('Resource check failed', { error: error.message });
+    }
+  }
+
+  // Make room for waiting starts, longest-waiting unscanned bots first
+  evictUnscanned() {
+    const now = Date.now();
+    const candidates = Array.from(this.unscannedSince.entries())
+      .filter(([userId, since]) => this.bots.has(userId) && now - since >= this.evictAfterMs)
+      .sort((a, b) => a[1] - b[1])
+      .slice(0, this.queue.length);
+
+    for (const [userId, since] of candidates) {
+      log.info('Evicting bot: QR not scanned', { userId, unscannedMs: now - since });
+      this.unscannedSince.delete(userId);
+      this.emit('evict', userId);
+    }
+  }
+
+  browserRssMb(userId) {
+    const rss = this.browserRss.get(userId);
+    return rss ? Math.round(rss / MB) : null;
+  }
+
+  queued() {
+    return this.queue.map(({ userId, reason, queuedAt }) => ({ user_id: userId, reason, queued_at: queuedAt }));
+  }
+
+  // Summary for the public /health endpoint, so no user IDs
+  describe() {
+    return {
+      active_bots: this.activeBots(),
+      max_bots: this.maxBots || null,
+      queued: this.queue.length,
+      memory: this.usage()
+    };
+  }
+}
+
+module.exports = ResourceGovernor;
@@ -1,64 +1,411 @@
 require('dotenv').config();
 const express = require('express');
+const { pipeline, Readable } = require('stream');
 const WhatsAppBot = require('./whatsapp-bot-enhanced');
+const DeliveryQueue = require('./delivery-queue');
+const SigningSecretStore = require('./signing-secrets');
+const BotRegistry = require('./bot-registry');
+const DedupStore = require('./dedup-store');
+const BackfillManager = require('./backfill-manager');
+const EventHub = require('./event-stream');
+const SessionStorage = require('./session-storage');
+const ClusterCoordinator = require('./cluster-coordinator');
+const ResourceGovernor = require('./resource-governor');
+const LinkEnricher = require('./link-enricher');
+const LinkArchive = require('./link-archive');
+const { EXPORT_FORMATS } = require('./link-export');
+const DigestScheduler = require('./digest-scheduler');
+const ChatCommands = require('./chat-commands');
+const metrics = require('./metrics');
+const { logger, requestContext } = require('./logger');
+const { buildSignatureHeaders } = require('./webhook-signing');
+const { createAuth, createCors } = require('./auth');
+const { validateRules } = require('./link-filter');
+const { PAYLOAD_VERSIONS, DEFAULT_PAYLOAD_VERSION } = require('./payload-schema');
+const {
+  validateDestination,
+  createDestination,
+  updateDestination,
+  implicitDestinations,
+  isImplicit,
+  deliveryCredentials,
+  describeDestination
+} = require('./webhook-destinations');
+const { validateRelay, createRelay, updateRelay, describeRelay } = require('./relay-rules');
+const { validateDigestConfig, normalizeDigestConfig, renderText, renderHtml } = require('./link-digest');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Simple CORS configuration for Railway
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  
-  if (req.method === 'OPTIONS') {
-    res.sendStatus(200);
-    return;
-  }
-  
-  next();
-});
+// CORS allowlist (CORS_ORIGINS), no cross-origin access when unset
+app.use(createCors());
 
 app.use(express.json());
 
+// Request ID (X-Request-Id) on every response and in every log line written for the request
+app.use(requestContext);
+
+// API key / JWT authentication, scoped per userId
+const { requireAccess, authorize, logDenied } = createAuth();
+const userFromParams = req => req.params.userId;
+const userFromBody = req => req.body?.userId;
+const requireAdmin = requireAccess();
+
 // Store multiple bot instances for different users
 const whatsappBots = new Map();
 
-app.get('/', (req, res) => {
+// Persisted bot configs + desired state, used to restore bots after a restart
+const botRegistry = new BotRegistry();
+const RESTORE_STAGGER_MS = parseInt(process.env.BOT_RESTORE_STAGGER_MS, 10) || 5000;
+
+// Per-user HMAC secrets used to sign every webhook and callback body
+const signingSecrets = new SigningSecretStore();
+
+// Persistent outbox shared by all bots for webhook/callback deliveries
+const deliveryQueue = new DeliveryQueue({
+  signer: (entry, rawBody) => {
+    const secrets = signingSecrets.getActiveSecrets(entry.userId);
+    return secrets.length > 0 ? buildSignatureHeaders(rawBody, secrets) : {};
+  },
+  // Looked up on every attempt, so rotated credentials apply to queued deliveries too
+  authorizer: entry => {
+    const destination = (botRegistry.get(entry.userId)?.webhooks || []).find(item => item.id === entry.destinationId);
+    return deliveryCredentials(entry.channel, destination);
+  },
+  // Delivery outcomes of link_detected events end up on their archived link
+  onOutcome: entry => {
+    if (entry.linkId) linkArchive.recordDelivery(entry.linkId, entry.destinationId || entry.channel, entry.status);
+  }
+});
+
+// Recently seen message IDs and canonical URLs per user
+const dedupStore = new DedupStore();
+
+// History scans, resumed whenever a bot (re)connects
+const backfillManager = new BackfillManager();
+
+// Open Graph / oEmbed metadata for detected links (LINK_ENRICHMENT), cached per canonical URL
+const linkEnricher = new LinkEnricher();
+
+// Every dispatched link with its message context and delivery status (SQLite, LINK_ARCHIVE)
+const linkArchive = new LinkArchive();
+
+// Live SSE/WebSocket event stream with a short replay buffer per user
+const eventHub = new EventHub();
+
+// Where WhatsApp sessions are kept: local disk (default), S3-compatible storage or Postgres
+const sessionStorage = new SessionStorage();
+
+// Concurrency cap, memory-based admission and eviction of unscanned bots
+const governor = new ResourceGovernor(whatsappBots);
+
+// Leases that shard bots across instances (CLUSTER_DATABASE_URL); disabled for a single instance
+const coordinator = new ClusterCoordinator({ port: PORT, capacityCheck: () => !governor.capacityBlocker() });
+if (coordinator.enabled && !sessionStorage.isRemote()) {
+  logger.warn('Cluster mode with SESSION_STORE=local - bots taken over by another instance will need a new QR scan');
+}
+
+// Scheduled link digests from the archive to webhooks, WhatsApp chats and email
+const digestScheduler = new DigestScheduler({
+  registry: botRegistry,
+  linkArchive,
+  deliveryQueue,
+  bots: whatsappBots,
+  isOwner: userId => !coordinator.enabled || whatsappBots.has(userId)
+});
+
+// Bot gauges for GET /metrics are read from the live bot map on every scrape
+metrics.trackBots(whatsappBots, governor);
+
+// Bots that stopped working on their own; they turn /health and /ready degraded
+const FAILING_STATUSES = new Set(['error', 'failed', 'auth_failed']);
+const READINESS_MAX_FAILING_RATIO = parseFloat(process.env.READINESS_MAX_FAILING_RATIO) || 0.5;
+
+function botHealth() {
+  const total = whatsappBots.size;
+  const failing = Array.from(whatsappBots.values()).filter(bot => FAILING_STATUSES.has(bot.getStatus())).length;
+
+  return {
+    total,
+    failing,
+    degraded: failing > 0,
+    ready: total === 0 || failing / total < READINESS_MAX_FAILING_RATIO
+  };
+}
+
+// The settings a bot is started with; stored in the registry and in the cluster lease
+function botConfig({ webhookUrl, callbackUrl, filters, payloadVersion, loginMethod, phoneNumber, webhooks, relays, digest, commands, paused }) {
+  return { webhookUrl, callbackUrl, filters, payloadVersion, loginMethod, phoneNumber, webhooks, relays, digest, commands, paused };
+}
+
+// The lease additionally carries the signing secret, which the registry keeps out of its file
+function leaseConfig(userId, config) {
+  return { ...botConfig(config), signingSecret: signingSecrets.get(userId) };
+}
+
+function createBot(userId, { webhookUrl, callbackUrl, filters, payloadVersion, loginMethod, phoneNumber, webhooks, relays, commands, paused, resumed = false }) {
+  const bot = new WhatsAppBot(userId, {
+    webhookUrl,
+    callbackUrl: callbackUrl || process.env.SUPABASE_WEBHOOK_URL,
+    filters,
+    webhooks,
+    relays,
+    commands,
+    paused,
+    payloadVersion,
+    loginMethod,
+    phoneNumber,
+    sessionStorage,
+    deliveryQueue,
+    dedupStore,
+    linkEnricher,
+    linkArchive,
+    resumed
+  });
+
+  bot.on('status_change', ({ status }) => {
+    if (status === 'connected') backfillManager.resume(bot);
+    coordinator.reportStatus(userId, status).catch(() => {});
+  });
+  bot.on('event', event => eventHub.publish(userId, event));
+  // Chat commands (!pause, !filter add ...) change settings the registry and lease keep
+  bot.on('settings_change', changes => {
+    const record = botRegistry.upsert(userId, changes);
+    coordinator.claim(userId, leaseConfig(userId, record)).catch(error => logger.error('Updating lease failed', { userId, error }));
+  });
+  governor.track(bot);
+
+  return bot;
+}
+
+// Create and initialize a bot once the governor admitted it
+function launchBot(userId, config, { resumed = false } = {}) {
+  const bot = createBot(userId, { ...config, resumed });
+  whatsappBots.set(userId, bot);
+
+  // Start bot initialization in background - don't wait
+  bot.initialize().catch(error => logger.error('Bot init failed', { userId, error }));
+  return bot;
+}
+
+const LOGIN_METHODS = ['qr', 'pairing_code'];
+
+// Pairing needs the number in international format without symbols, e.g. 491701234567
+function normalizePhoneNumber(phoneNumber) {
+  return phoneNumber ? String(phoneNumber).replace(/\D/g, '') : null;
+}
+
+// Validate the per-user settings accepted by /start and PUT /config
+function validateBotConfig({ filters, payloadVersion, loginMethod, phoneNumber, commands, paused, signingSecret }) {
+  const errors = [...validateRules(filters), ...ChatCommands.validateCommandSettings(commands)];
+
+  const secretError = signingSecret !== undefined && SigningSecretStore.validateSecret(signingSecret);
+  if (secretError) errors.push(secretError);
+
+  if (paused !== undefined && typeof paused !== 'boolean') {
+    errors.push('paused must be a boolean');
+  }
+
+  if (payloadVersion !== undefined && !PAYLOAD_VERSIONS.includes(payloadVersion)) {
+    errors.push(`payloadVersion must be one of ${PAYLOAD_VERSIONS.join(', ')}`);
+  }
+
+  if (loginMethod !== undefined && !LOGIN_METHODS.includes(loginMethod)) {
+    errors.push(`loginMethod must be one of ${LOGIN_METHODS.join(', ')}`);
+  }
+
+  if (loginMethod === 'pairing_code' && !/^\d{7,15}$/.test(normalizePhoneNumber(phoneNumber) || '')) {
+    errors.push('phoneNumber in international format is required for loginMethod pairing_code');
+  }
+
+  return errors;
+}
+
+// Bring back every bot marked running, one at a time so Chromium launches don't pile up
+async function restoreBots() {
+  const records = botRegistry.running();
+  if (records.length === 0) return;
+
+  logger.info('Restoring bots', { count: records.length, staggerMs: RESTORE_STAGGER_MS });
+
+  for (const [index, record] of records.entries()) {
+    if (index > 0) {
+      await new Promise(resolve => setTimeout(resolve, RESTORE_STAGGER_MS));
+    }
+
+    const { userId } = record;
+
+    // Skip users that were started or stopped through the API while we were waiting
+    if (whatsappBots.has(userId) || botRegistry.get(userId)?.desiredState !== 'running') {
+      continue;
+    }
+
+    try {
+      if (!(await coordinator.claim(userId, leaseConfig(userId, record)))) {
+        logger.info('Skipping restore: bot runs on another instance', { userId });
+        continue;
+      }
+
+      logger.info('Restoring WhatsApp bot', { userId });
+      const admission = governor.requestStart(userId, () => launchBot(userId, record, { resumed: true }));
+      if (!admission.admitted && !admission.queued) {
+        logger.warn('Not restoring bot: no capacity', { userId, reason: admission.reason });
+      }
+    } catch (error) {
+      logger.error('Restoring bot failed', { userId, error });
+    }
+  }
+}
+
+// Start a bot whose instance died; its lease (and config) now belongs to us
+async function takeOverBot({ userId, config }) {
+  if (whatsappBots.has(userId)) return;
+
+  try {
+    signingSecrets.restore(userId, config.signingSecret);
+    botRegistry.upsert(userId, { ...botConfig(config), desiredState: 'running' });
+    digestScheduler.sync(userId);
+    governor.requestStart(userId, () => launchBot(userId, config, { resumed: true }));
+  } catch (error) {
+    logger.error('Taking over bot failed', { userId, error });
+  }
+}
+
+coordinator.on('takeover', takeOverBot);
+
+// Another instance holds the lease now; stop our copy without changing the desired state
+coordinator.on('lease_lost', async (userId) => {
+  const bot = whatsappBots.get(userId);
+  if (!bot) return;
+
+  // No final session backup: it would overwrite the new owner's session
+  whatsappBots.delete(userId);
+  await bot.disconnect({ backup: false });
+  governor.drain();
+});
+
+// Free the slot of a bot whose QR code nobody scanned so a queued start can run
+governor.on('evict', async (userId) => {
+  const bot = whatsappBots.get(userId);
+  if (!bot) return;
+
+  bot.setStatus('evicted', { reason: 'qr_not_scanned' });
+  whatsappBots.delete(userId);
+  botRegistry.setDesiredState(userId, 'stopped');
+  await bot.disconnect({ backup: false });
+  await coordinator.release(userId).catch(error => logger.error('Releasing lease failed', { userId, error }));
+  governor.drain();
+});
+
+// Hand a request for a user's bot to the instance holding the lease. With `place`,
+// a user nobody runs yet goes to the least loaded instance once this one is full.
+function routeToOwner(resolveUserId, { place = false } = {}) {
+  return async (req, res, next) => {
+    if (!coordinator.enabled || coordinator.isForwarded(req)) return next();
+
+    try {
+      const userId = resolveUserId(req);
+      let target = userId ? await coordinator.owner(userId) : null;
+
+      if (!target && place && !coordinator.hasCapacity()) {
+        target = await coordinator.pickInstance();
+        if (!target) {
+          return res.status(503).json({ success: false, error: 'No instance has capacity for another bot' });
+        }
+      }
+
+      if (!target || target.instanceId === coordinator.instanceId) return next();
+
+      logger.info('Forwarding request to owning instance', { method: req.method, path: req.path, instanceId: target.instanceId });
+      await coordinator.forward(req, res, target);
+    } catch (error) {
+      logger.error('Cluster routing failed', error);
+      res.status(502).json({ success: false, error: `Cluster routing failed: ${error.message}` });
+    }
+  };
+}
+
+app.get('/', requireAdmin, async (req, res) => {
   const activeBots = Array.from(whatsappBots.entries()).map(([userId, bot]) => ({
     userId,
     connected: bot.isConnected(),
     status: bot.getStatus()
   }));
 
-  res.json({ 
+  const response = {
     status: 'WhatsApp Service is running',
     active_bots: activeBots.length,
-    bots: activeBots
-  });
+    bots: activeBots,
+    queued_starts: governor.queued()
+  };
+
+  // In cluster mode also list every live instance and every leased bot
+  if (coordinator.enabled) {
+    try {
+      response.instance_id = coordinator.instanceId;
+      response.cluster = await coordinator.clusterStatus();
+    } catch (error) {
+      response.cluster = { error: error.message };
+    }
+  }
+
+  res.json(response);
 });
 
-// Health check endpoint for Railway
+// Health check endpoint for Railway; always 200 so the process isn't restarted over failing bots
 app.get('/health', (req, res) => {
+  const { total, failing, degraded } = botHealth();
+
   res.status(200).json({
-    status: 'healthy',
+    status: degraded ? 'degraded' : 'healthy',
+    bots: { total, failing },
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     memory: process.memoryUsage(),
+    // Includes every bot's Chromium process tree, which process.memoryUsage() doesn't see
+    resources: governor.describe(),
     port: PORT
   });
 });
 
-app.get('/status/:userId?', (req, res) => {
+// Readiness for load balancers: 503 once READINESS_MAX_FAILING_RATIO of the bots are failing
+app.get('/ready', (req, res) => {
+  const { total, failing, ready } = botHealth();
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'degraded',
+    bots: { total, failing },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', requireAdmin, async (req, res) => {
+  try {
+    res.setHeader('Content-Type', metrics.register.contentType);
+    res.send(await metrics.register.metrics());
+  } catch (error) {
+    logger.error('Metrics collection failed', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/status/:userId?', requireAccess(userFromParams), routeToOwner(userFromParams), (req, res) => {
   const { userId } = req.params;
   
   if (userId) {
     const bot = whatsappBots.get(userId);
+    const queuePosition = governor.position(userId);
     res.json({
       user_id: userId,
       bot_connected: bot?.isConnected() || false,
-      status: bot?.getStatus() || 'disconnected',
-      qr_available: bot?.hasQRCode() || false
+      status: bot?.getStatus() || (queuePosition ? 'queued' : 'disconnected'),
+      paused: bot?.paused || false,
+      ...(queuePosition && { queue_position: queuePosition }),
+      browser_memory_mb: governor.browserRssMb(userId),
+      login_method: bot?.loginMethod || null,
+      qr_available: bot?.hasQRCode() || false,
+      pairing_code_available: bot?.hasPairingCode() || false
     });
   } else {
     const allBots = Array.from(whatsappBots.entries()).map(([id, bot]) => ({
@@ -77,56 +424,106 @@ app.get('/status/:userId?', (req, res) => {
   }
 });
 
-app.post('/start', async (req, res) => {
+const CAPACITY_REASONS = {
+  max_bots: 'the maximum number of concurrent bots is running',
+  memory: 'starting another browser would exceed the memory limit',
+  queue: 'other starts are already waiting'
+};
+
+function queuedResponse(userId, { reason, position }) {
+  return {
+    success: true,
+    message: `Bot start queued: ${CAPACITY_REASONS[reason]}`,
+    status: 'queued',
+    reason,
+    position,
+    userId
+  };
+}
+
+// Capacity and queue are full; give the lease back so another instance can take the user
+async function rejectStart(res, userId, { reason }) {
+  await coordinator.release(userId).catch(() => {});
+
+  res.setHeader('Retry-After', Math.ceil(governor.checkIntervalMs / 1000));
+  res.status(503).json({
+    success: false,
+    error: `No capacity to start a bot: ${CAPACITY_REASONS[reason]} and the start queue is full`,
+    reason
+  });
+}
+
+app.post('/start', requireAccess(userFromBody), routeToOwner(userFromBody, { place: true }), async (req, res) => {
   try {
-    const { userId, webhookUrl, callbackUrl } = req.body;
+    const { userId, webhookUrl, callbackUrl, signingSecret, filters, payloadVersion } = req.body;
+    const loginMethod = req.body.loginMethod || 'qr';
+    const phoneNumber = loginMethod === 'pairing_code' ? normalizePhoneNumber(req.body.phoneNumber) : null;
     
     if (!userId) {
       return res.status(400).json({ error: 'userId is required' });
     }
+    // The id names the session directory and is matched against string route params later
+    if (typeof userId !== 'string' || !SessionStorage.USER_ID_PATTERN.test(userId)) {
+      return res.status(400).json({ error: 'userId may only contain letters, digits, _ and -' });
+    }
+
+    const configErrors = validateBotConfig(req.body);
+    if (configErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid configuration', details: configErrors });
+    }
+
+    // Another instance may have claimed the user between routing and now.
+    // Registered webhook destinations, relay rules, the digest and the command
+    // settings outlive stops and restarts.
+    const { webhooks, relays, digest, commands, paused } = botRegistry.get(userId) || {};
+    const config = { webhookUrl, callbackUrl, filters, payloadVersion, loginMethod, phoneNumber, webhooks, relays, digest, commands, paused };
+    if (!(await coordinator.claim(userId, leaseConfig(userId, config)))) {
+      return res.status(409).json({ success: false, error: 'Bot is running on another instance' });
+    }
+
+    logger.info('Starting WhatsApp bot', { userId, loginMethod });
 
-    console.log(`🚀 Starting WhatsApp bot for user: ${userId}`);
+    // A different secret than the stored one counts as a rotation with the default grace period
+    if (signingSecret) {
+      signingSecrets.set(userId, signingSecret);
+      await coordinator.claim(userId, leaseConfig(userId, config));
+    }
     
     // Stop existing bot for this user if any
     if (whatsappBots.has(userId)) {
-      console.log(`⚠️ Stopping existing bot for ${userId}`);
+      logger.info('Stopping existing bot', { userId });
       await whatsappBots.get(userId).disconnect();
       whatsappBots.delete(userId);
     }
 
-    const bot = new WhatsAppBot(userId, {
-      webhookUrl,
-      callbackUrl: callbackUrl || process.env.SUPABASE_WEBHOOK_URL,
-      sessionPath: `./sessions/${userId}`
-    });
+    const admission = governor.requestStart(userId, () => launchBot(userId, config));
+    if (!admission.admitted && !admission.queued) {
+      return rejectStart(res, userId, admission);
+    }
 
-    whatsappBots.set(userId, bot);
-    
-    // Start bot initialization in background - don't wait
-    (async () => {
-      try {
-        await bot.initialize();
-      } catch (error) {
-        console.error('🔥 Bot init failed:', error);
-      }
-    })();
+    botRegistry.upsert(userId, { ...config, desiredState: 'running' });
+
+    if (admission.queued) {
+      return res.status(202).json(queuedResponse(userId, admission));
+    }
     
     // Respond immediately with initializing status
     res.json({ 
       success: true, 
       message: 'Bot initialization started',
       status: 'initializing',
+      loginMethod,
       qrCode: null,
       userId: userId
     });
   } catch (error) {
-    console.error('Start failed:', error);
+    logger.error('Start failed', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 
-app.post('/stop', async (req, res) => {
+app.post('/stop', requireAccess(userFromBody), routeToOwner(userFromBody), async (req, res) => {
   try {
     const { userId } = req.body;
     
@@ -135,22 +532,33 @@ app.post('/stop', async (req, res) => {
     }
 
     const bot = whatsappBots.get(userId);
+    governor.cancel(userId);
     if (bot) {
       await bot.disconnect();
       whatsappBots.delete(userId);
     }
+    botRegistry.setDesiredState(userId, 'stopped');
+    await coordinator.release(userId);
+    governor.drain();
 
     res.json({ success: true, message: 'Bot stopped successfully' });
   } catch (error) {
-    console.error('Stop failed:', error);
+    logger.error('Stop failed', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.post('/restart/:userId', async (req, res) => {
+app.post('/restart/:userId', requireAccess(userFromParams), routeToOwner(userFromParams, { place: true }), async (req, res) => {
   try {
     const { userId } = req.params;
-    const { webhookUrl, callbackUrl } = req.body;
+    // Fall back to the registered config so a bare restart keeps the user's URLs
+    const previous = botRegistry.get(userId) || {};
+    const webhookUrl = req.body.webhookUrl || previous.webhookUrl;
+    const callbackUrl = req.body.callbackUrl || previous.callbackUrl;
+
+    if (!(await coordinator.claim(userId, leaseConfig(userId, { ...previous, webhookUrl, callbackUrl })))) {
+      return res.status(409).json({ success: false, error: 'Bot is running on another instance' });
+    }
 
     // Stop existing bot
     if (whatsappBots.has(userId)) {
@@ -159,23 +567,417 @@ app.post('/restart/:userId', async (req, res) => {
     }
 
     // Start new bot
-    const bot = new WhatsAppBot(userId, {
-      webhookUrl,
-      callbackUrl: callbackUrl || process.env.SUPABASE_WEBHOOK_URL,
-      sessionPath: `./sessions/${userId}`
-    });
+    const admission = governor.requestStart(userId, () => launchBot(userId, { ...previous, webhookUrl, callbackUrl }));
+    if (!admission.admitted && !admission.queued) {
+      return rejectStart(res, userId, admission);
+    }
+
+    botRegistry.upsert(userId, { webhookUrl, callbackUrl, desiredState: 'running' });
 
-    whatsappBots.set(userId, bot);
-    await bot.initialize();
+    if (admission.queued) {
+      return res.status(202).json(queuedResponse(userId, admission));
+    }
     
     res.json({ success: true, message: 'Bot restarted successfully' });
   } catch (error) {
-    console.error('Restart failed:', error);
+    logger.error('Restart failed', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.get('/qr/:userId', async (req, res) => {
+// Read or update a user's bot settings; running bots pick them up immediately
+app.get('/config/:userId', requireAccess(userFromParams), routeToOwner(userFromParams), (req, res) => {
+  const { userId } = req.params;
+  const record = botRegistry.get(userId);
+
+  if (!record) {
+    return res.status(404).json({ error: 'No configuration for user' });
+  }
+
+  res.json({
+    user_id: userId,
+    webhookUrl: record.webhookUrl || null,
+    callbackUrl: record.callbackUrl || null,
+    filters: record.filters || {},
+    payloadVersion: record.payloadVersion || DEFAULT_PAYLOAD_VERSION,
+    loginMethod: record.loginMethod || 'qr',
+    commands: record.commands || null,
+    paused: !!record.paused
+  });
+});
+
+app.put('/config/:userId', requireAccess(userFromParams), routeToOwner(userFromParams), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { filters, payloadVersion, commands, paused } = req.body;
+
+    const configErrors = validateBotConfig(req.body);
+    if (configErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid configuration', details: configErrors });
+    }
+
+    // Only the settings present in the body are replaced
+    const updates = {};
+    const bot = whatsappBots.get(userId);
+
+    if (filters !== undefined) {
+      updates.filters = filters || {};
+      bot?.setFilters(filters);
+    }
+    if (payloadVersion !== undefined) {
+      updates.payloadVersion = payloadVersion;
+      if (bot) bot.payloadVersion = payloadVersion;
+    }
+    if (commands !== undefined) {
+      updates.commands = commands;
+      bot?.commands.configure(commands);
+    }
+    if (paused !== undefined) {
+      updates.paused = paused;
+      if (bot) bot.paused = paused;
+    }
+
+    const record = botRegistry.upsert(userId, updates);
+
+    // Keep the lease's copy current so a takeover starts the bot with the new settings
+    if (bot) await coordinator.claim(userId, leaseConfig(userId, record));
+
+    res.json({
+      success: true,
+      user_id: userId,
+      filters: record.filters || {},
+      payloadVersion: record.payloadVersion || DEFAULT_PAYLOAD_VERSION,
+      commands: record.commands || null,
+      paused: !!record.paused
+    });
+  } catch (error) {
+    logger.error('Config update failed', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Webhook destinations: the implicit webhookUrl/callbackUrl ones plus any number of registered ones
+function userDestinations(userId) {
+  const record = botRegistry.get(userId) || {};
+  const implicit = implicitDestinations({
+    ...record,
+    callbackUrl: record.callbackUrl || process.env.SUPABASE_WEBHOOK_URL
+  });
+
+  return [...implicit, ...(record.webhooks || [])];
+}
+
+// API view of a queue entry; sink URLs are already stored redacted
+function describeDelivery({ headers, ...entry }) {
+  return entry;
+}
+
+// Persist a user's registered destinations and hand them to the running bot
+async function saveWebhooks(userId, webhooks) {
+  const record = botRegistry.upsert(userId, { webhooks });
+  const bot = whatsappBots.get(userId);
+
+  if (bot) {
+    bot.setWebhooks(webhooks);
+    // Keep the lease's copy current so a takeover delivers to the same destinations
+    await coordinator.claim(userId, leaseConfig(userId, record));
+  }
+}
+
+const IMPLICIT_DESTINATION_ERROR = 'Implicit destinations are configured through webhookUrl / callbackUrl on /start and /restart';
+
+app.get('/users/:userId/webhooks', requireAccess(userFromParams), routeToOwner(userFromParams), (req, res) => {
+  const { userId } = req.params;
+  res.json({ user_id: userId, webhooks: userDestinations(userId).map(describeDestination) });
+});
+
+app.post('/users/:userId/webhooks', requireAccess(userFromParams), routeToOwner(userFromParams), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const errors = validateDestination(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid webhook destination', details: errors });
+    }
+
+    const destination = createDestination(req.body);
+    await saveWebhooks(userId, [...(botRegistry.get(userId)?.webhooks || []), destination]);
+    logger.info('Webhook destination registered', { userId, destinationId: destination.id });
+
+    res.status(201).json({ success: true, webhook: describeDestination(destination) });
+  } catch (error) {
+    logger.error('Webhook registration failed', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/users/:userId/webhooks/:webhookId', requireAccess(userFromParams), routeToOwner(userFromParams), (req, res) => {
+  const { userId, webhookId } = req.params;
+  const destination = userDestinations(userId).find(item => item.id === webhookId);
+
+  if (!destination) {
+    return res.status(404).json({ error: 'Webhook destination not found' });
+  }
+
+  res.json({ user_id: userId, webhook: describeDestination(destination) });
+});
+
+// Partial update: only the fields present in the body are replaced
+app.put('/users/:userId/webhooks/:webhookId', requireAccess(userFromParams), routeToOwner(userFromParams), async (req, res) => {
+  try {
+    const { userId, webhookId } = req.params;
+
+    if (isImplicit(webhookId)) {
+      return res.status(409).json({ error: IMPLICIT_DESTINATION_ERROR });
+    }
+
+    const webhooks = botRegistry.get(userId)?.webhooks || [];
+    const index = webhooks.findIndex(item => item.id === webhookId);
+    if (index === -1) {
+      return res.status(404).json({ error: 'Webhook destination not found' });
+    }
+
+    const updated = updateDestination(webhooks[index], req.body);
+    const errors = validateDestination(updated);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid webhook destination', details: errors });
+    }
+
+    await saveWebhooks(userId, webhooks.map((item, i) => (i === index ? updated : item)));
+
+    res.json({ success: true, webhook: describeDestination(updated) });
+  } catch (error) {
+    logger.error('Webhook update failed', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/users/:userId/webhooks/:webhookId', requireAccess(userFromParams), routeToOwner(userFromParams), async (req, res) => {
+  try {
+    const { userId, webhookId } = req.params;
+
+    if (isImplicit(webhookId)) {
+      return res.status(409).json({ error: IMPLICIT_DESTINATION_ERROR });
+    }
+
+    const webhooks = botRegistry.get(userId)?.webhooks || [];
+    if (!webhooks.some(item => item.id === webhookId)) {
+      return res.status(404).json({ error: 'Webhook destination not found' });
+    }
+
+    await saveWebhooks(userId, webhooks.filter(item => item.id !== webhookId));
+    const discarded = deliveryQueue.discardPending(userId, webhookId);
+    logger.info('Webhook destination deleted', { userId, destinationId: webhookId, discarded });
+
+    res.json({ success: true, message: 'Webhook destination deleted', discarded_deliveries: discarded });
+  } catch (error) {
+    logger.error('Webhook delete failed', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delivery log of one destination; auth headers and credentials in sink URLs are left out
+app.get('/users/:userId/webhooks/:webhookId/deliveries', requireAccess(userFromParams), routeToOwner(userFromParams), (req, res) => {
+  const { userId, webhookId } = req.params;
+  const destination = userDestinations(userId).find(item => item.id === webhookId);
+
+  if (!destination) {
+    return res.status(404).json({ error: 'Webhook destination not found' });
+  }
+
+  const deliveries = deliveryQueue.list(userId, req.query.status, webhookId).map(describeDelivery);
+  res.json({
+    user_id: userId,
+    webhook_id: webhookId,
+    total: deliveries.length,
+    deliveries
+  });
+});
+
+// Persist a user's relay rules and hand them to the running bot
+async function saveRelays(userId, relays) {
+  const record = botRegistry.upsert(userId, { relays });
+  const bot = whatsappBots.get(userId);
+
+  if (bot) {
+    bot.setRelays(relays);
+    await coordinator.claim(userId, leaseConfig(userId, record));
+  }
+}
+
+// Rules with the messages queued for them and the links collected for their next digest
+function describeRelays(userId) {
+  const pending = whatsappBots.get(userId)?.relay.pending() || {};
+  return (botRegistry.get(userId)?.relays || [])
+    .map(relay => ({ ...describeRelay(relay), pending: pending[relay.id] || { queued: 0, digest: 0 } }));
+}
+
+app.get('/users/:userId/relays', requireAccess(userFromParams), routeToOwner(userFromParams), (req, res) => {
+  const { userId } = req.params;
+  res.json({ user_id: userId, relays: describeRelays(userId) });
+});
+
+app.post('/users/:userId/relays', requireAccess(userFromParams), routeToOwner(userFromParams), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const errors = validateRelay(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid relay rule', details: errors });
+    }
+
+    const relay = createRelay(req.body);
+    await saveRelays(userId, [...(botRegistry.get(userId)?.relays || []), relay]);
+    logger.info('Relay rule registered', { userId, relayId: relay.id });
+
+    res.status(201).json({ success: true, relay: describeRelay(relay) });
+  } catch (error) {
+    logger.error('Relay registration failed', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/users/:userId/relays/:relayId', requireAccess(userFromParams), routeToOwner(userFromParams), (req, res) => {
+  const { userId, relayId } = req.params;
+  const relay = describeRelays(userId).find(item => item.id === relayId);
+
+  if (!relay) {
+    return res.status(404).json({ error: 'Relay rule not found' });
+  }
+
+  res.json({ user_id: userId, relay });
+});
+
+// Partial update: only the fields present in the body are replaced
+app.put('/users/:userId/relays/:relayId', requireAccess(userFromParams), routeToOwner(userFromParams), async (req, res) => {
+  try {
+    const { userId, relayId } = req.params;
+
+    const relays = botRegistry.get(userId)?.relays || [];
+    const index = relays.findIndex(item => item.id === relayId);
+    if (index === -1) {
+      return res.status(404).json({ error: 'Relay rule not found' });
+    }
+
+    const updated = updateRelay(relays[index], req.body);
+    const errors = validateRelay(updated);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid relay rule', details: errors });
+    }
+
+    await saveRelays(userId, relays.map((item, i) => (i === index ? updated : item)));
+
+    res.json({ success: true, relay: describeRelay(updated) });
+  } catch (error) {
+    logger.error('Relay update failed', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/users/:userId/relays/:relayId', requireAccess(userFromParams), routeToOwner(userFromParams), async (req, res) => {
+  try {
+    const { userId, relayId } = req.params;
+
+    const relays = botRegistry.get(userId)?.relays || [];
+    if (!relays.some(item => item.id === relayId)) {
+      return res.status(404).json({ error: 'Relay rule not found' });
+    }
+
+    await saveRelays(userId, relays.filter(item => item.id !== relayId));
+    logger.info('Relay rule deleted', { userId, relayId });
+
+    res.json({ success: true, message: 'Relay rule deleted' });
+  } catch (error) {
+    logger.error('Relay delete failed', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Persist a user's digest config (null removes it) and reschedule it
+async function saveDigest(userId, digest) {
+  const record = botRegistry.upsert(userId, { digest });
+  digestScheduler.sync(userId);
+
+  if (whatsappBots.has(userId)) {
+    await coordinator.claim(userId, leaseConfig(userId, record));
+  }
+}
+
+app.get('/digest/:userId', requireAccess(userFromParams), routeToOwner(userFromParams), (req, res) => {
+  const { userId } = req.params;
+  const digest = botRegistry.get(userId)?.digest;
+
+  if (!digest) {
+    return res.status(404).json({ error: 'No digest configured for user' });
+  }
+
+  res.json({ user_id: userId, digest, next_run_at: digestScheduler.nextRunAt(userId) });
+});
+
+// Replaces the whole digest config
+app.put('/digest/:userId', requireAccess(userFromParams), routeToOwner(userFromParams), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!linkArchive.enabled) {
+      return res.status(409).json({ error: 'Digests are built from the link archive, which is disabled (LINK_ARCHIVE=none)' });
+    }
+
+    const errors = validateDigestConfig(req.body, { emailAvailable: digestScheduler.emailAvailable() });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid digest configuration', details: errors });
+    }
+
+    const digest = normalizeDigestConfig(req.body, botRegistry.get(userId)?.digest);
+    await saveDigest(userId, digest);
+    logger.info('Digest configured', { userId, schedule: digest.schedule, timezone: digest.timezone });
+
+    res.json({ success: true, digest, next_run_at: digestScheduler.nextRunAt(userId) });
+  } catch (error) {
+    logger.error('Digest configuration failed', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/digest/:userId', requireAccess(userFromParams), routeToOwner(userFromParams), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!botRegistry.get(userId)?.digest) {
+      return res.status(404).json({ error: 'No digest configured for user' });
+    }
+
+    await saveDigest(userId, null);
+    res.json({ success: true, message: 'Digest removed' });
+  } catch (error) {
+    logger.error('Digest removal failed', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Build a digest without sending it: `from` / `to` default to the period of the next run,
+// `format` is json (default, with the text rendering), text or html
+app.post('/digest/:userId/preview', requireAccess(userFromParams), routeToOwner(userFromParams), (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { from, to, format = 'json' } = req.body || {};
+
+    if (!['json', 'text', 'html'].includes(format)) {
+      return res.status(400).json({ error: 'format must be one of json, text, html' });
+    }
+
+    const digest = digestScheduler.preview(userId, { from, to });
+
+    if (format === 'text') return res.type('text/plain').send(renderText(digest));
+    if (format === 'html') return res.type('html').send(renderHtml(digest));
+    res.json({ success: true, digest, text: renderText(digest) });
+  } catch (error) {
+    if (!error.statusCode) logger.error('Digest preview failed', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/qr/:userId', requireAccess(userFromParams), routeToOwner(userFromParams), async (req, res) => {
   try {
     const { userId } = req.params;
     const bot = whatsappBots.get(userId);
@@ -187,13 +989,13 @@ app.get('/qr/:userId', async (req, res) => {
     const qrCode = await bot.getQRCode();
     res.json({ qrCode, userId });
   } catch (error) {
-    console.error('QR fetch failed:', error);
+    logger.error('QR fetch failed', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 // QR Code as image endpoint for direct display
-app.get('/qr/:userId/image', async (req, res) => {
+app.get('/qr/:userId/image', requireAccess(userFromParams), routeToOwner(userFromParams), async (req, res) => {
   try {
     const { userId } = req.params;
     const bot = whatsappBots.get(userId);
@@ -215,12 +1017,321 @@ app.get('/qr/:userId/image', async (req, res) => {
     res.setHeader('Cache-Control', 'no-cache');
     res.send(imageBuffer);
   } catch (error) {
-    console.error('QR image fetch failed:', error);
+    logger.error('QR image fetch failed', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/simulate', async (req, res) => {
+// Pairing code for loginMethod 'pairing_code', entered under Linked devices > Link with phone number
+app.get('/pairing/:userId', requireAccess(userFromParams), routeToOwner(userFromParams), (req, res) => {
+  const { userId } = req.params;
+  const bot = whatsappBots.get(userId);
+
+  if (!bot) {
+    return res.status(404).json({ error: 'Bot not found for user' });
+  }
+
+  const pairingCode = bot.getPairingCode();
+  if (!pairingCode) {
+    return res.status(404).json({ error: 'Pairing code not available', status: bot.getStatus() });
+  }
+
+  res.json({ pairingCode: pairingCode.code, expiresAt: pairingCode.expiresAt, userId });
+});
+
+// Rotate a user's webhook signing secret; the old secret keeps signing during the grace period
+app.post('/secrets/:userId/rotate', requireAccess(userFromParams), routeToOwner(userFromParams), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { signingSecret, gracePeriodSeconds } = req.body;
+
+    const secretError = signingSecret !== undefined && SigningSecretStore.validateSecret(signingSecret);
+    if (secretError) {
+      return res.status(400).json({ error: secretError });
+    }
+
+    const newSecret = signingSecret || SigningSecretStore.generateSecret();
+    const gracePeriodMs = gracePeriodSeconds !== undefined
+      ? Number(gracePeriodSeconds) * 1000
+      : undefined;
+
+    if (gracePeriodMs !== undefined && !(gracePeriodMs >= 0)) {
+      return res.status(400).json({ error: 'gracePeriodSeconds must be a non-negative number' });
+    }
+
+    signingSecrets.set(userId, newSecret, gracePeriodMs);
+    if (coordinator.owned.has(userId)) {
+      await coordinator.claim(userId, leaseConfig(userId, botRegistry.get(userId) || {}));
+    }
+
+    res.json({
+      success: true,
+      user_id: userId,
+      // Only echo the secret back when we generated it
+      signingSecret: signingSecret ? undefined : newSecret,
+      ...signingSecrets.describe(userId)
+    });
+  } catch (error) {
+    logger.error('Secret rotation failed', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/secrets/:userId', requireAccess(userFromParams), routeToOwner(userFromParams), (req, res) => {
+  const { userId } = req.params;
+  res.json({ user_id: userId, ...signingSecrets.describe(userId) });
+});
+
+// Outbound messaging through a user's session
+function findBot(req, res) {
+  const bot = whatsappBots.get(req.params.userId);
+  if (!bot) {
+    res.status(404).json({ error: 'Bot not found for user' });
+    return null;
+  }
+  return bot;
+}
+
+function respondSendError(res, error) {
+  logger.error('Send failed', error);
+
+  if (error.retryAfterMs) {
+    res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+  }
+
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message,
+    retry_after_ms: error.retryAfterMs
+  });
+}
+
+app.post('/send/:userId/text', requireAccess(userFromParams), routeToOwner(userFromParams), async (req, res) => {
+  try {
+    const bot = findBot(req, res);
+    if (!bot) return;
+
+    const { to, text, replyTo } = req.body;
+    const message = await bot.sendText(to, text, { replyTo });
+
+    res.json({ success: true, message });
+  } catch (error) {
+    respondSendError(res, error);
+  }
+});
+
+app.post('/send/:userId/media', requireAccess(userFromParams), routeToOwner(userFromParams), async (req, res) => {
+  try {
+    const bot = findBot(req, res);
+    if (!bot) return;
+
+    const { to, media, caption, replyTo } = req.body;
+    const message = await bot.sendMedia(to, media, { caption, replyTo });
+
+    res.json({ success: true, message });
+  } catch (error) {
+    respondSendError(res, error);
+  }
+});
+
+// Delivery state (sent/delivered/read) of a message sent through the API
+app.get('/send/:userId/:messageId', requireAccess(userFromParams), routeToOwner(userFromParams), (req, res) => {
+  const bot = findBot(req, res);
+  if (!bot) return;
+
+  const message = bot.messenger.get(req.params.messageId);
+  if (!message) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+
+  res.json({ user_id: req.params.userId, message });
+});
+
+// Scan existing chat history for links: { from, to, chats }
+app.post('/backfill/:userId', requireAccess(userFromParams), routeToOwner(userFromParams), (req, res) => {
+  try {
+    const bot = findBot(req, res);
+    if (!bot) return;
+
+    if (!bot.isConnected()) {
+      return res.status(409).json({ error: `WhatsApp session is not connected (status: ${bot.getStatus()})` });
+    }
+
+    const { from, to, chats } = req.body;
+    const job = backfillManager.start(bot, { from, to, chats });
+
+    res.status(202).json({ success: true, message: 'Backfill started', job });
+  } catch (error) {
+    logger.error('Backfill start failed', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/backfill/:userId', requireAccess(userFromParams), routeToOwner(userFromParams), (req, res) => {
+  const job = backfillManager.describe(req.params.userId);
+  if (!job) {
+    return res.status(404).json({ error: 'No backfill job for user' });
+  }
+
+  res.json({ user_id: req.params.userId, job });
+});
+
+app.delete('/backfill/:userId', requireAccess(userFromParams), routeToOwner(userFromParams), (req, res) => {
+  const job = backfillManager.cancel(req.params.userId);
+  if (!job) {
+    return res.status(404).json({ error: 'No backfill job for user' });
+  }
+
+  // The worker finishes the message it is on first; GET /backfill/:userId shows when it stopped
+  const messages = { cancelling: 'Backfill is stopping', cancelled: 'Backfill cancelled' };
+  res.json({ success: true, message: messages[job.status] || `Backfill already ${job.status}`, job });
+});
+
+// Admin: download a user's saved session as a zip, e.g. to move it to another deployment
+app.get('/sessions/:userId/export', requireAdmin, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const archive = await sessionStorage.exportSession(userId);
+
+    if (!archive) {
+      return res.status(404).json({ error: 'No stored session for user' });
+    }
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${sessionStorage.sessionName(userId)}.zip"`);
+    res.send(archive);
+  } catch (error) {
+    if (!error.statusCode) logger.error('Session export failed', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: replace a user's saved session with an exported zip; the bot must be stopped
+app.post('/sessions/:userId/import', requireAdmin, express.raw({ type: ['application/zip', 'application/octet-stream'], limit: '200mb' }), routeToOwner(userFromParams), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (whatsappBots.has(userId)) {
+      return res.status(409).json({ error: 'Stop the bot before importing a session' });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Send the session zip as the request body (Content-Type: application/zip)' });
+    }
+
+    await sessionStorage.importSession(userId, req.body);
+    logger.info('Imported session', { userId, store: sessionStorage.type });
+
+    res.json({ success: true, message: 'Session imported', store: sessionStorage.type });
+  } catch (error) {
+    logger.error('Session import failed', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin: delete a user's saved session; the next start needs a new QR scan or pairing code
+app.delete('/sessions/:userId', requireAdmin, routeToOwner(userFromParams), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (whatsappBots.has(userId)) {
+      return res.status(409).json({ error: 'Stop the bot before deleting its session' });
+    }
+
+    await sessionStorage.deleteSession(userId);
+    logger.info('Deleted stored session', { userId, store: sessionStorage.type });
+
+    res.json({ success: true, message: 'Session deleted', store: sessionStorage.type });
+  } catch (error) {
+    if (!error.statusCode) logger.error('Session delete failed', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Live event stream (SSE); WebSocket clients connect to the same path
+app.get('/events/:userId', requireAccess(userFromParams), routeToOwner(userFromParams), (req, res) => {
+  eventHub.handleSse(req, res);
+});
+
+// Dedup counters: remembered messages, unique links and how many duplicates were dropped
+app.get('/dedup/:userId', requireAccess(userFromParams), routeToOwner(userFromParams), (req, res) => {
+  const { userId } = req.params;
+  res.json({ user_id: userId, ...dedupStore.stats(userId) });
+});
+
+// Inspect queued, delivered and dead-lettered webhook events for a user; headers and credentials in sink URLs are left out
+app.get('/deliveries/:userId', requireAccess(userFromParams), routeToOwner(userFromParams), (req, res) => {
+  const { userId } = req.params;
+  const { status } = req.query;
+
+  const deliveries = deliveryQueue.list(userId, status).map(describeDelivery);
+  res.json({
+    user_id: userId,
+    total: deliveries.length,
+    deliveries
+  });
+});
+
+// Archived links, newest first: date range, domain, chat, sender, delivery status and
+// full-text search over the message, paginated with an opaque cursor
+app.get('/links/:userId', requireAccess(userFromParams), routeToOwner(userFromParams), (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { links, nextCursor } = linkArchive.search(userId, req.query);
+
+    res.json({ user_id: userId, count: links.length, links, next_cursor: nextCursor });
+  } catch (error) {
+    if (!error.statusCode) logger.error('Link search failed', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// The same filters, every matching link as CSV, JSON Lines or a Netscape bookmarks file
+app.get('/links/:userId/export', requireAccess(userFromParams), routeToOwner(userFromParams), (req, res) => {
+  const { userId } = req.params;
+  const { format = 'csv', ...filters } = req.query;
+  const exporter = EXPORT_FORMATS[format];
+
+  if (!exporter) {
+    return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+
+  let links;
+  try {
+    links = linkArchive.iterate(userId, filters);
+  } catch (error) {
+    if (!error.statusCode) logger.error('Link export failed', error);
+    return res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+
+  res.setHeader('Content-Type', exporter.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="links-${userId.replace(/[^\w.-]/g, '_')}.${exporter.extension}"`);
+  // Streamed with backpressure, so a slow client doesn't make the whole export pile up in memory
+  pipeline(Readable.from(exporter.write(links)), res, error => {
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') logger.error('Link export failed', { userId, error });
+  });
+});
+
+// Deliveries are queued on the instance that ran the bot. One queued elsewhere is looked up
+// on the owner of the user given as ?userId=.
+const deliveryUser = req => deliveryQueue.get(req.params.id)?.userId || req.query.userId;
+const remoteDeliveryUser = req => deliveryQueue.get(req.params.id) ? null : req.query.userId;
+
+app.post('/deliveries/:id/replay', requireAccess(deliveryUser), routeToOwner(remoteDeliveryUser), (req, res) => {
+  try {
+    const entry = deliveryQueue.replay(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    res.json({ success: true, message: 'Delivery requeued', delivery: describeDelivery(entry) });
+  } catch (error) {
+    logger.error('Replay failed', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/simulate', requireAccess(userFromBody), async (req, res) => {
   try {
     const { userId, testUrl, webhookUrl } = req.body;
     
@@ -240,17 +1351,22 @@ app.post('/simulate', async (req, res) => {
 
     if (webhookUrl) {
       try {
+        // Sign like real deliveries so receivers can test their verification
+        const rawBody = JSON.stringify(testPayload);
+        const secrets = signingSecrets.getActiveSecrets(userId);
+
         const response = await fetch(webhookUrl, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
+            ...(secrets.length > 0 ? buildSignatureHeaders(rawBody, secrets) : {})
           },
-          body: JSON.stringify(testPayload)
+          body: rawBody
         });
         
-        console.log(`Test link sent to webhook: ${webhookUrl} - Status: ${response.status}`);
+        logger.info('Test link sent to webhook', { userId, webhookUrl, status: response.status });
       } catch (error) {
-        console.error('Failed to send test link to webhook:', error);
+        logger.error('Failed to send test link to webhook', { userId, webhookUrl, error });
       }
     }
 
@@ -260,42 +1376,80 @@ app.post('/simulate', async (req, res) => {
       payload: testPayload
     });
   } catch (error) {
-    console.error('Simulate failed:', error);
+    logger.error('Simulate failed', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`WhatsApp Service running on port ${PORT}`);
-  console.log(`Supabase webhook URL: ${process.env.SUPABASE_WEBHOOK_URL}`);
+const server = app.listen(PORT, () => {
+  logger.info('WhatsApp Service running', { port: PORT, supabaseWebhookUrl: process.env.SUPABASE_WEBHOOK_URL });
+  deliveryQueue.start();
+  governor.start();
+  linkArchive.start();
+  digestScheduler.start();
+  // Leases must be in place before restored bots can claim them
+  coordinator.start()
+    .then(() => restoreBots())
+    .catch(error => logger.error('Bot restore failed', error));
+});
+
+// WebSocket upgrades for /events/:userId, with the same per-user auth as the HTTP routes
+eventHub.attachWebSocket(server, (req, userId) => {
+  const result = authorize(req, userId);
+  if (!result.status) return null;
+
+  logDenied(req, result.reason, result.principal);
+  return result.status;
+}, async (req, socket, head, userId) => {
+  // Like routeToOwner: the socket goes to the instance running the user's bot
+  if (!coordinator.enabled || coordinator.isForwarded(req)) return false;
+
+  const target = await coordinator.owner(userId);
+  if (!target || target.instanceId === coordinator.instanceId) return false;
+
+  logger.info('Forwarding event stream to owning instance', { userId, instanceId: target.instanceId });
+  coordinator.forwardUpgrade(req, socket, head, target);
+  return true;
 });
 
 // Global error handlers to prevent server crashes
 process.on('uncaughtException', (error) => {
-  console.error('Uncaught Exception:', error);
+  logger.error('Uncaught exception', error);
   // Don't exit, keep server running for other users
 });
 
 process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+  logger.error('Unhandled rejection', reason instanceof Error ? reason : { reason: String(reason) });
   // Don't exit, keep server running for other users
 });
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {
-  console.log('SIGTERM received, shutting down gracefully');
+  logger.info('SIGTERM received, shutting down gracefully');
+  deliveryQueue.stop();
+  governor.stop();
+  dedupStore.flush();
+  digestScheduler.stop();
+  linkArchive.stop();
   
   const shutdownPromises = Array.from(whatsappBots.values()).map(bot => bot.disconnect());
   await Promise.all(shutdownPromises);
+  await coordinator.stop().catch(error => logger.error('Releasing cluster leases failed', error));
   
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
-  console.log('SIGINT received, shutting down gracefully');
+  logger.info('SIGINT received, shutting down gracefully');
+  deliveryQueue.stop();
+  governor.stop();
+  dedupStore.flush();
+  digestScheduler.stop();
+  linkArchive.stop();
   
   const shutdownPromises = Array.from(whatsappBots.values()).map(bot => bot.disconnect());
   await Promise.all(shutdownPromises);
+  await coordinator.stop().catch(error => logger.error('Releasing cluster leases failed', error));
   
   process.exit(0);
 });
\ No newline at end of file
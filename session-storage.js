@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const unzipper = require('unzipper');
+const { LocalAuth, RemoteAuth } = require('whatsapp-web.js');
+const { S3SessionStore, PostgresSessionStore } = require('./session-stores');
+
+const SESSION_TYPES = ['local', 's3', 'postgres'];
+// The clientId rule of LocalAuth and RemoteAuth; anything else could name a path outside dataPath
+const USER_ID_PATTERN = /^[-_\w]+$/;
+
+// Picks the whatsapp-web.js auth strategy for every bot (SESSION_STORE) and gives
+// the admin API one way to export, import and delete a user's saved session,
+// whether it lives on local disk (LocalAuth) or in a remote store (RemoteAuth).
+class SessionStorage {
+  constructor(options = {}) {
+    this.type = options.type || process.env.SESSION_STORE || 'local';
+    if (!SESSION_TYPES.includes(this.type)) {
+      throw new Error(`SESSION_STORE must be one of ${SESSION_TYPES.join(', ')}`);
+    }
+
+    this.dataPath = options.dataPath || './sessions';
+    // RemoteAuth refuses intervals below one minute
+    this.backupIntervalMs = Math.max(60000, options.backupIntervalMs || parseInt(process.env.SESSION_BACKUP_INTERVAL_MS, 10) || 300000);
+
+    if (this.type === 's3') this.store = options.store || new S3SessionStore();
+    if (this.type === 'postgres') this.store = options.store || new PostgresSessionStore();
+  }
+
+  isRemote() {
+    return this.type !== 'local';
+  }
+
+  createAuthStrategy(userId) {
+    if (!this.isRemote()) {
+      return new LocalAuth({ clientId: userId, dataPath: this.dataPath });
+    }
+
+    return new RemoteAuth({
+      clientId: userId,
+      dataPath: this.dataPath,
+      store: this.store,
+      backupSyncIntervalMs: this.backupIntervalMs
+    });
+  }
+
+  // Directory names whatsapp-web.js uses for each strategy
+  sessionName(userId) {
+    if (typeof userId !== 'string' || !USER_ID_PATTERN.test(userId)) {
+      throw Object.assign(new Error('userId may only contain letters, digits, _ and -'), { statusCode: 400 });
+    }
+    return this.isRemote() ? `RemoteAuth-${userId}` : `session-${userId}`;
+  }
+
+  localDir(userId) {
+    const root = path.resolve(this.dataPath);
+    const dir = path.resolve(root, this.sessionName(userId));
+    if (path.dirname(dir) !== root) {
+      throw Object.assign(new Error('Session directory outside the sessions root'), { statusCode: 400 });
+    }
+    return dir;
+  }
+
+  // Zip archive of the stored session, or null when there is none
+  async exportSession(userId) {
+    if (this.isRemote()) {
+      return this.store.read(this.sessionName(userId));
+    }
+
+    const dir = this.localDir(userId);
+    if (!fs.existsSync(dir)) return null;
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      const archive = archiver('zip');
+      archive.on('data', chunk => chunks.push(chunk));
+      archive.on('error', reject);
+      archive.on('end', () => resolve(Buffer.concat(chunks)));
+      archive.directory(dir, false);
+      archive.finalize();
+    });
+  }
+
+  // Replace the stored session with a zip produced by exportSession
+  async importSession(userId, data) {
+    let directory;
+    try {
+      directory = await unzipper.Open.buffer(data);
+    } catch (error) {
+      throw Object.assign(new Error(`Not a valid session archive: ${error.message}`), { statusCode: 400 });
+    }
+
+    if (this.isRemote()) {
+      await this.store.write(this.sessionName(userId), data);
+      return;
+    }
+
+    const dir = this.localDir(userId);
+    await fs.promises.rm(dir, { recursive: true, force: true });
+    await directory.extract({ path: dir });
+  }
+
+  async deleteSession(userId) {
+    if (this.isRemote()) {
+      await this.store.delete({ session: this.sessionName(userId) });
+    }
+
+    // RemoteAuth also keeps a working copy on disk
+    await fs.promises.rm(this.localDir(userId), { recursive: true, force: true });
+  }
+}
+
+SessionStorage.SESSION_TYPES = SESSION_TYPES;
+SessionStorage.USER_ID_PATTERN = USER_ID_PATTERN;
+
+module.exports = SessionStorage;
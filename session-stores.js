@@ -0,0 +1,143 @@
+const fs = require('fs');
+const {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { Pool } = require('pg');
+
+// Remote stores for whatsapp-web.js RemoteAuth. RemoteAuth calls
+// sessionExists/save/extract/delete with { session } (and a target `path` for extract);
+// `save` picks up the zip RemoteAuth just wrote to `<session>.zip` in the working directory.
+// read/write are used by the admin export/import endpoints.
+
+// S3-compatible object storage (AWS S3, MinIO, R2, ...)
+class S3SessionStore {
+  constructor(options = {}) {
+    this.bucket = options.bucket || process.env.SESSION_S3_BUCKET;
+    this.prefix = options.prefix ?? (process.env.SESSION_S3_PREFIX || 'whatsapp-sessions/');
+    if (!this.bucket) throw new Error('SESSION_S3_BUCKET is required for the s3 session store');
+
+    const endpoint = options.endpoint || process.env.SESSION_S3_ENDPOINT;
+    this.client = options.client || new S3Client({
+      region: options.region || process.env.SESSION_S3_REGION || 'us-east-1',
+      // MinIO and most self-hosted stores only support path-style URLs
+      ...(endpoint && { endpoint, forcePathStyle: true })
+    });
+  }
+
+  key(session) {
+    return `${this.prefix}${session}.zip`;
+  }
+
+  async sessionExists({ session }) {
+    try {
+      await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.key(session) }));
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return false;
+      throw error;
+    }
+  }
+
+  async save({ session }) {
+    await this.write(session, await fs.promises.readFile(`${session}.zip`));
+  }
+
+  async extract({ session, path }) {
+    const data = await this.read(session);
+    if (data) await fs.promises.writeFile(path, data);
+  }
+
+  async delete({ session }) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.key(session) }));
+  }
+
+  async read(session) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this.key(session) }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  async write(session, data) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.key(session),
+      Body: data,
+      ContentType: 'application/zip'
+    }));
+  }
+}
+
+// One row per session in a Postgres table, created on first use
+class PostgresSessionStore {
+  constructor(options = {}) {
+    const connectionString = options.connectionString || process.env.SESSION_DATABASE_URL || process.env.DATABASE_URL;
+    if (!options.pool && !connectionString) {
+      throw new Error('SESSION_DATABASE_URL (or DATABASE_URL) is required for the postgres session store');
+    }
+
+    this.pool = options.pool || new Pool({ connectionString });
+    this.table = options.table || process.env.SESSION_DATABASE_TABLE || 'whatsapp_sessions';
+    this.ready = null;
+  }
+
+  ensureTable() {
+    if (!this.ready) {
+      this.ready = this.pool.query(`
+        CREATE TABLE IF NOT EXISTS ${this.table} (
+          session TEXT PRIMARY KEY,
+          data BYTEA NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `).catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  async sessionExists({ session }) {
+    await this.ensureTable();
+    const result = await this.pool.query(`SELECT 1 FROM ${this.table} WHERE session = $1`, [session]);
+    return result.rowCount > 0;
+  }
+
+  async save({ session }) {
+    await this.write(session, await fs.promises.readFile(`${session}.zip`));
+  }
+
+  async extract({ session, path }) {
+    const data = await this.read(session);
+    if (data) await fs.promises.writeFile(path, data);
+  }
+
+  async delete({ session }) {
+    await this.ensureTable();
+    await this.pool.query(`DELETE FROM ${this.table} WHERE session = $1`, [session]);
+  }
+
+  async read(session) {
+    await this.ensureTable();
+    const result = await this.pool.query(`SELECT data FROM ${this.table} WHERE session = $1`, [session]);
+    return result.rows[0]?.data || null;
+  }
+
+  async write(session, data) {
+    await this.ensureTable();
+    await this.pool.query(
+      `INSERT INTO ${this.table} (session, data, updated_at) VALUES ($1, $2, NOW())
+       ON CONFLICT (session) DO UPDATE SET data = EXCLUDED.data, updated_at = NOW()`,
+      [session, data]
+    );
+  }
+}
+
+module.exports = { S3SessionStore, PostgresSessionStore };
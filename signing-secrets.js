@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const { dataPath, readJSON, writeJSON } = require('./json-store');
+
+// Per-user webhook signing secrets. Persisted because queued deliveries are
+// signed at send time and may be retried long after the bot was stopped.
+class SigningSecretStore {
+  constructor(options = {}) {
+    this.file = options.file || dataPath('signing-secrets.json');
+    this.defaultGraceMs = options.defaultGraceMs ||
+      (parseInt(process.env.SIGNING_SECRET_GRACE_SECONDS, 10) || 24 * 60 * 60) * 1000;
+    this.fallbackSecret = options.fallbackSecret || process.env.WEBHOOK_SIGNING_SECRET || null;
+    this.secrets = readJSON(this.file, {});
+  }
+
+  static generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  // A problem with a secret supplied through the API, or null. Anything else would make every
+  // signing attempt throw and dead-letter the user's deliveries.
+  static validateSecret(secret) {
+    return typeof secret === 'string' && secret.length > 0 ? null : 'signingSecret must be a non-empty string';
+  }
+
+  has(userId) {
+    return !!this.secrets[userId]?.current;
+  }
+
+  // Set or rotate a user's secret; the previous one stays valid for the grace period
+  set(userId, secret, gracePeriodMs = this.defaultGraceMs) {
+    const existing = this.secrets[userId];
+
+    if (existing?.current === secret) return existing;
+
+    const record = {
+      current: secret,
+      previous: null,
+      previousExpiresAt: null,
+      rotatedAt: new Date().toISOString()
+    };
+
+    if (existing?.current && gracePeriodMs > 0) {
+      record.previous = existing.current;
+      record.previousExpiresAt = Date.now() + gracePeriodMs;
+    }
+
+    this.secrets[userId] = record;
+    this.persist();
+
+    return record;
+  }
+
+  // The stored record, carried in the cluster lease so the instance taking a bot over signs alike
+  get(userId) {
+    return this.secrets[userId] || null;
+  }
+
+  // Adopt a record from the lease unless ours was rotated later
+  restore(userId, record) {
+    const existing = this.secrets[userId];
+    if (!record?.current || (existing && existing.rotatedAt >= record.rotatedAt)) return;
+
+    this.secrets[userId] = record;
+    this.persist();
+  }
+
+  getActiveSecrets(userId) {
+    const record = this.secrets[userId];
+    if (!record?.current) {
+      return this.fallbackSecret ? [this.fallbackSecret] : [];
+    }
+
+    const secrets = [record.current];
+    if (record.previous && record.previousExpiresAt > Date.now()) {
+      secrets.push(record.previous);
+    }
+
+    return secrets;
+  }
+
+  // Public view of a user's secret state, without the secrets themselves
+  describe(userId) {
+    const record = this.secrets[userId];
+    if (!record) {
+      return { configured: false, uses_fallback: !!this.fallbackSecret };
+    }
+
+    const inGrace = !!record.previous && record.previousExpiresAt > Date.now();
+    return {
+      configured: true,
+      rotated_at: record.rotatedAt,
+      grace_period_active: inGrace,
+      previous_expires_at: inGrace ? new Date(record.previousExpiresAt).toISOString() : null
+    };
+  }
+
+  persist() {
+    writeJSON(this.file, this.secrets);
+  }
+}
+
+module.exports = SigningSecretStore;
@@ -0,0 +1,248 @@
+const Mustache = require('mustache');
+
+// Built-in sinks for webhook destinations. A plain `webhook` destination gets the JSON
+// payload as is; the other types turn an event into the request the target service expects:
+//
+//   slack          Slack incoming webhook                  sink: { username?, iconEmoji? }
+//   discord        Discord webhook                         sink: { username?, avatarUrl? }
+//   telegram       Telegram Bot API sendMessage            sink: { botToken, chatId }
+//   http_template  any HTTP endpoint, Mustache body        sink: { template, contentType?, headers? }
+//
+// Chat sinks render link_detected and connection_status; other events are skipped for them.
+
+const SINK_TYPES = ['webhook', 'slack', 'discord', 'telegram', 'http_template'];
+const TELEGRAM_API_URL = process.env.TELEGRAM_API_URL || 'https://api.telegram.org';
+
+// Discord and Slack reject oversized fields instead of truncating them
+function truncate(text, max) {
+  const value = String(text || '');
+  return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+}
+
+function escapeSlack(text) {
+  return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeHtml(text) {
+  return escapeSlack(text).replace(/"/g, '&quot;');
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Returns a list of problems with a destination's `sink` options
+function validateSink(type, sink) {
+  if (!SINK_TYPES.includes(type)) return [`type must be one of ${SINK_TYPES.join(', ')}`];
+  if (sink !== undefined && sink !== null && (typeof sink !== 'object' || Array.isArray(sink))) {
+    return ['sink must be an object'];
+  }
+
+  const errors = [];
+  const options = sink || {};
+
+  if (type === 'telegram') {
+    if (typeof options.botToken !== 'string' || !options.botToken) errors.push('sink.botToken is required for telegram');
+    if (options.chatId === undefined || options.chatId === '') errors.push('sink.chatId is required for telegram');
+  }
+
+  if (type === 'http_template') {
+    if (typeof options.template !== 'string' || !options.template) {
+      errors.push('sink.template is required for http_template');
+    } else {
+      try {
+        Mustache.parse(options.template);
+      } catch (error) {
+        errors.push(`sink.template: ${error.message}`);
+      }
+    }
+    if (options.contentType !== undefined && typeof options.contentType !== 'string') {
+      errors.push('sink.contentType must be a string');
+    }
+    if (options.headers !== undefined && (typeof options.headers !== 'object' || Array.isArray(options.headers) ||
+      !Object.values(options.headers).every(value => typeof value === 'string'))) {
+      errors.push('sink.headers must be an object of strings');
+    }
+  }
+
+  if (options.avatarUrl !== undefined && !isHttpUrl(options.avatarUrl)) {
+    errors.push('sink.avatarUrl must be an http(s) URL');
+  }
+
+  return errors;
+}
+
+// What a chat message says about an event; null for events chat sinks don't render.
+// `event` is the link event ({ userId, link, context, ... }) for link_detected.
+function describeEvent(type, payload, event) {
+  if (type === 'link_detected' && event) {
+    const { link, context } = event;
+    return {
+      url: link.expanded || link.url,
+      metadata: link.metadata || null,
+      sender: context.senderName,
+      chat: context.isGroup ? context.chatName : null,
+      text: context.messageText,
+      backfill: !!context.backfill
+    };
+  }
+
+  if (type === 'connection_status') {
+    return { status: payload.status, reason: payload.reason || null, userId: payload.userId };
+  }
+
+  return null;
+}
+
+function slackMessage(type, summary, sink) {
+  let text;
+  if (type === 'link_detected') {
+    const where = summary.chat ? ` in *${escapeSlack(summary.chat)}*` : '';
+    const title = summary.metadata?.title ? `|${escapeSlack(summary.metadata.title)}` : '';
+    text = `🔗 New link from *${escapeSlack(summary.sender)}*${where}: <${escapeSlack(summary.url)}${title}>`;
+    if (summary.text) text += `\n>${truncate(escapeSlack(summary.text), 2500).replace(/\n/g, '\n>')}`;
+  } else {
+    text = `📱 WhatsApp status for \`${escapeSlack(summary.userId)}\`: *${escapeSlack(summary.status)}*`;
+    if (summary.reason) text += ` (${escapeSlack(summary.reason)})`;
+  }
+
+  return {
+    text,
+    ...(sink.username && { username: sink.username }),
+    ...(sink.iconEmoji && { icon_emoji: sink.iconEmoji })
+  };
+}
+
+function discordMessage(type, summary, sink) {
+  const identity = {
+    ...(sink.username && { username: sink.username }),
+    ...(sink.avatarUrl && { avatar_url: sink.avatarUrl }),
+    // Message text comes from WhatsApp; never let it ping anyone
+    allowed_mentions: { parse: [] }
+  };
+
+  if (type !== 'link_detected') {
+    const reason = summary.reason ? ` (${summary.reason})` : '';
+    return { ...identity, content: truncate(`📱 WhatsApp status for \`${summary.userId}\`: **${summary.status}**${reason}`, 2000) };
+  }
+
+  const fields = [{ name: 'Sender', value: truncate(summary.sender, 1024), inline: true }];
+  if (summary.chat) fields.push({ name: 'Chat', value: truncate(summary.chat, 1024), inline: true });
+
+  return {
+    ...identity,
+    embeds: [{
+      title: truncate(summary.metadata?.title || summary.url, 256),
+      url: summary.url,
+      description: truncate(summary.text, 4096),
+      ...(summary.metadata?.image && { thumbnail: { url: summary.metadata.image } }),
+      fields,
+      footer: { text: summary.backfill ? 'WhatsApp · history backfill' : 'WhatsApp' },
+      timestamp: new Date().toISOString()
+    }]
+  };
+}
+
+function telegramMessage(type, summary, sink) {
+  let text;
+  if (type === 'link_detected') {
+    const where = summary.chat ? ` in <b>${escapeHtml(summary.chat)}</b>` : '';
+    text = `🔗 New link from <b>${escapeHtml(summary.sender)}</b>${where}:\n${escapeHtml(summary.url)}`;
+    if (summary.text) text += `\n\n<i>${escapeHtml(truncate(summary.text, 3000))}</i>`;
+  } else {
+    text = `📱 WhatsApp status for <code>${escapeHtml(summary.userId)}</code>: <b>${escapeHtml(summary.status)}</b>`;
+    if (summary.reason) text += ` (${escapeHtml(summary.reason)})`;
+  }
+
+  return { chat_id: sink.chatId, text, parse_mode: 'HTML' };
+}
+
+// Where a destination's requests go. Slack and Discord webhook URLs and the Telegram bot URL are
+// credentials, so deliveries are queued with the URL redacted and this one is used at send time.
+function sinkUrl(destination) {
+  if (destination.type === 'telegram') {
+    const apiUrl = (destination.url || TELEGRAM_API_URL).replace(/\/$/, '');
+    return `${apiUrl}/bot${destination.sink?.botToken}/sendMessage`;
+  }
+  return destination.url;
+}
+
+// JSON bodies need JSON string escaping inside {{ }}; everything else is inserted as is
+function renderTemplate(sink, type, payload) {
+  const contentType = sink.contentType || 'application/json';
+  const escape = /json/i.test(contentType)
+    ? value => JSON.stringify(String(value)).slice(1, -1)
+    : value => String(value);
+
+  return Mustache.render(sink.template, { ...payload, event_type: type }, {}, { escape });
+}
+
+// The request a destination receives for an event: { url, payload, headers }, or null to skip.
+// `payload` is the event in the destination's payload version; a string is sent as the raw body.
+// `url` is redacted where it carries credentials, see sinkUrl.
+function formatDelivery(destination, type, payload, event = null) {
+  const sink = destination.sink || {};
+  const url = redactUrl(destination.type, sinkUrl(destination));
+
+  switch (destination.type) {
+    case 'slack':
+    case 'discord':
+    case 'telegram': {
+      const summary = describeEvent(type, payload, event);
+      if (!summary) return null;
+
+      if (destination.type === 'slack') return { url, payload: slackMessage(type, summary, sink), headers: {} };
+      if (destination.type === 'discord') return { url, payload: discordMessage(type, summary, sink), headers: {} };
+      return { url, payload: telegramMessage(type, summary, sink), headers: {} };
+    }
+    case 'http_template':
+      return {
+        url,
+        payload: renderTemplate(sink, type, payload),
+        // Custom sink.headers are credentials, see deliveryCredentials in webhook-destinations.js
+        headers: { 'Content-Type': sink.contentType || 'application/json' }
+      };
+    default:
+      return { url, payload, headers: {} };
+  }
+}
+
+// Slack and Discord webhook URLs and the Telegram URL carry credentials
+function redactUrl(type, url) {
+  if (!url) return url;
+  if (type === 'telegram') return url.replace(/\/bot[^/]+/, '/bot********');
+  if (type === 'slack' || type === 'discord') {
+    try {
+      const parsed = new URL(url);
+      return `${parsed.origin}/********`;
+    } catch (error) {
+      return '********';
+    }
+  }
+  return url;
+}
+
+// Sink options with secrets masked, for API responses
+function describeSink(type, sink) {
+  if (!sink) return sink;
+
+  const described = { ...sink };
+  if (described.botToken) described.botToken = '********';
+  if (described.headers) {
+    described.headers = Object.fromEntries(Object.keys(described.headers).map(name => [name, '********']));
+  }
+  return described;
+}
+
+module.exports = {
+  SINK_TYPES,
+  validateSink,
+  formatDelivery,
+  sinkUrl,
+  redactUrl,
+  describeSink
+};
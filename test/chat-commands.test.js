@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChatCommands = require('../chat-commands');
+
+const OWN_ID = '491700000000@c.us';
+const { REPLY_MARKER, validateCommandSettings } = ChatCommands;
+
+// Just enough of WhatsAppBotEnhanced for the built-in commands
+function fakeBot() {
+  const sent = [];
+  const bot = {
+    userId: 'user-1',
+    paused: false,
+    filterRules: { domains: { allow: ['linkedin.com'], block: [] } },
+    client: { info: { wid: { _serialized: OWN_ID } } },
+    messenger: { sendText: async (chatId, text, options) => sent.push({ chatId, text, options }) },
+    log: { info() {}, warn() {}, error() {} },
+    deliveryQueue: { list: () => [{}, {}] },
+    relay: { rules: [] },
+    linkArchive: null,
+    getStatus: () => 'connected',
+    destinationsFor: () => [{}],
+    setPaused(paused) { bot.paused = paused; },
+    updateFilters(rules) { bot.filterRules = rules; }
+  };
+  return { bot, sent };
+}
+
+function ownMessage(body) {
+  return { fromMe: true, from: OWN_ID, to: OWN_ID, body, id: { _serialized: `id-${body}` } };
+}
+
+test('validateCommandSettings accepts valid settings and reports problems', () => {
+  assert.deepEqual(validateCommandSettings(undefined), []);
+  assert.deepEqual(validateCommandSettings({ enabled: true, prefix: '/', allowedNumbers: ['+49 170 1234567'] }), []);
+  assert.deepEqual(validateCommandSettings({ enabled: 'yes', prefix: 'four', allowedNumbers: ['123'] }), [
+    'commands.enabled must be a boolean',
+    'commands.prefix must be 1-3 characters without spaces',
+    'commands.allowedNumbers must be an array of phone numbers in international format'
+  ]);
+});
+
+test('validateCommandSettings rejects prefixes that replies start with', () => {
+  assert.deepEqual(validateCommandSettings({ prefix: REPLY_MARKER }), [`commands.prefix must not start with ${REPLY_MARKER}`]);
+});
+
+test('isCommand accepts the owner\'s own chat and allowlisted direct chats only', () => {
+  const { bot } = fakeBot();
+  const commands = new ChatCommands(bot, { enabled: true, prefix: '!', allowedNumbers: ['491701234567'] });
+
+  assert.equal(commands.isCommand(ownMessage('!status')), true);
+  assert.equal(commands.isCommand(ownMessage('status')), false);
+  assert.equal(commands.isCommand({ fromMe: true, to: '1@g.us', body: '!status' }), false);
+  assert.equal(commands.isCommand({ fromMe: false, from: '491701234567@c.us', body: '!status' }), true);
+  assert.equal(commands.isCommand({ fromMe: false, from: '491709999999@c.us', body: '!status' }), false);
+  assert.equal(commands.isCommand({ fromMe: false, from: '491701234567@g.us', body: '!status' }), false);
+
+  commands.configure({ enabled: false });
+  assert.equal(commands.isCommand(ownMessage('!status')), false);
+});
+
+test('isReply recognises the bot\'s own replies', () => {
+  const { bot } = fakeBot();
+  const commands = new ChatCommands(bot, { enabled: true, prefix: '!', allowedNumbers: ['491701234567'] });
+
+  assert.equal(commands.isReply(ownMessage(`${REPLY_MARKER} Resumed.`)), true);
+  assert.equal(commands.isReply({ fromMe: true, to: '491701234567@c.us', body: `${REPLY_MARKER} Paused.` }), true);
+  assert.equal(commands.isReply({ fromMe: false, from: '491701234567@c.us', to: OWN_ID, body: `${REPLY_MARKER} hi` }), false);
+  assert.equal(commands.isReply(ownMessage('!status')), false);
+});
+
+test('handle runs a command and replies with the marker', async () => {
+  const { bot, sent } = fakeBot();
+  const commands = new ChatCommands(bot, { enabled: true, prefix: '!' });
+
+  await commands.handle(ownMessage('!pause'));
+  assert.equal(bot.paused, true);
+  assert.deepEqual(sent[0], {
+    chatId: OWN_ID,
+    text: `${REPLY_MARKER} Paused. Links are not dispatched until you resume.`,
+    options: { replyTo: 'id-!pause' }
+  });
+
+  await commands.handle(ownMessage('!status'));
+  assert.equal(sent[1].text, [
+    `${REPLY_MARKER} Status: connected (paused)`,
+    'Filters: 1 allowed domain, 0 blocked domains',
+    'Destinations: 1 webhook, 0 relay rules',
+    'Pending deliveries: 2'
+  ].join('\n'));
+});
+
+test('handle manages the domain allowlist', async () => {
+  const { bot, sent } = fakeBot();
+  const commands = new ChatCommands(bot, { enabled: true, prefix: '!' });
+
+  await commands.handle(ownMessage('!filter add Greenhouse.io'));
+  assert.deepEqual(bot.filterRules.domains.allow, ['linkedin.com', 'greenhouse.io']);
+  await commands.handle(ownMessage('!filter remove linkedin.com'));
+  assert.deepEqual(bot.filterRules.domains.allow, ['greenhouse.io']);
+  await commands.handle(ownMessage('!filter remove linkedin.com'));
+
+  assert.deepEqual(sent.map(reply => reply.text), [
+    `${REPLY_MARKER} Added greenhouse.io to the allowed domains.`,
+    `${REPLY_MARKER} Removed linkedin.com from the allowed domains.`,
+    `${REPLY_MARKER} linkedin.com is not in the allowlist.`
+  ]);
+});
+
+test('handle answers unknown commands and failures', async () => {
+  const { bot, sent } = fakeBot();
+  const commands = new ChatCommands(bot, { enabled: true, prefix: '!' });
+  commands.register('boom', { description: 'Fails', run: () => { throw new Error('nope'); } });
+
+  await commands.handle(ownMessage('!nope'));
+  await commands.handle(ownMessage('!boom'));
+
+  assert.deepEqual(sent.map(reply => reply.text), [
+    `${REPLY_MARKER} Unknown command "nope". Send !help for the list.`,
+    `${REPLY_MARKER} boom failed: nope`
+  ]);
+});
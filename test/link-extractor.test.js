@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractLinks, canonicalizeUrl, isShortLink, resolveLink } = require('../link-extractor');
+
+const urls = text => extractLinks(text).map(link => link.url);
+
+test('extractLinks finds URLs with and without a scheme', () => {
+  assert.deepEqual(urls('Apply at https://jobs.example.com/1 or www.example.org/careers, see acme.io'), [
+    'https://jobs.example.com/1',
+    'https://www.example.org/careers',
+    'https://acme.io'
+  ]);
+});
+
+test('extractLinks trims sentence punctuation and unbalanced brackets', () => {
+  assert.deepEqual(urls('(see https://example.com/a). And https://en.wikipedia.org/wiki/Foo_(bar)!'), [
+    'https://example.com/a',
+    'https://en.wikipedia.org/wiki/Foo_(bar)'
+  ]);
+});
+
+test('extractLinks ignores e-mail addresses and file names', () => {
+  assert.deepEqual(urls('Mail jobs@example.com, the code is in config.js'), []);
+});
+
+test('extractLinks keeps scheme URLs that follow a dot or slash', () => {
+  assert.deepEqual(urls('...https://a.com/x...'), ['https://a.com/x']);
+  assert.deepEqual(urls('see/https://b.com'), ['https://b.com']);
+});
+
+test('extractLinks returns each canonical URL once and adds metadata links', () => {
+  const links = extractLinks('https://example.com/a?utm_source=x https://EXAMPLE.com/a', [
+    { link: 'https://other.example.net/b', isSuspicious: false },
+    { link: 'https://example.com/a' }
+  ]);
+
+  assert.deepEqual(links.map(link => link.canonical), ['https://example.com/a', 'https://other.example.net/b']);
+  assert.equal(links[0].original, 'https://example.com/a?utm_source=x');
+});
+
+test('canonicalizeUrl lowercases the host and drops fragments and tracking parameters', () => {
+  assert.equal(canonicalizeUrl('https://Example.COM./path?utm_medium=a&id=5&fbclid=b#top'), 'https://example.com/path?id=5');
+  assert.equal(canonicalizeUrl('https://example.com/?utm_source=x'), 'https://example.com/');
+});
+
+test('canonicalizeUrl only drops host-scoped parameters on their hosts', () => {
+  assert.equal(canonicalizeUrl('https://x.com/user/status/1?s=20&t=abc'), 'https://x.com/user/status/1');
+  assert.equal(canonicalizeUrl('https://shop.example.com/search?s=shoes'), 'https://shop.example.com/search?s=shoes');
+});
+
+test('canonicalizeUrl rejects invalid and non-HTTP URLs', () => {
+  assert.equal(canonicalizeUrl('not a url'), null);
+  assert.equal(canonicalizeUrl('ftp://example.com/file'), null);
+});
+
+test('isShortLink recognises known shorteners', () => {
+  assert.equal(isShortLink('https://bit.ly/abc'), true);
+  assert.equal(isShortLink('https://example.com/abc'), false);
+  assert.equal(isShortLink('nope'), false);
+});
+
+test('resolveLink leaves links alone unless expansion is enabled', async () => {
+  const [link] = extractLinks('https://bit.ly/abc');
+  assert.equal(await resolveLink(link), link);
+  assert.equal(await resolveLink(link, { expandShortLinks: false }), link);
+});
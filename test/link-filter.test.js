@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateRules, compileRules, evaluateMessage, evaluateLink } = require('../link-filter');
+
+test('validateRules accepts empty and complete rules', () => {
+  assert.deepEqual(validateRules(undefined), []);
+  assert.deepEqual(validateRules({
+    domains: { allow: ['linkedin.com', '*.greenhouse.io', '/^jobs\\./i'], block: ['spam.example'] },
+    chats: { mode: 'include', ids: ['123@g.us'], names: ['Job Board'] },
+    senders: { allow: ['491701234567'] },
+    skipOwnMessages: false
+  }), []);
+});
+
+test('validateRules reports every problem', () => {
+  assert.deepEqual(validateRules([]), ['filters must be an object']);
+  const errors = validateRules({
+    domains: { allow: 'linkedin.com', block: ['', '/[/'] },
+    chats: { mode: 'only', ids: '123@g.us' },
+    skipOwnMessages: 'yes'
+  });
+
+  assert.match(errors[2], /^domains\.block: Invalid regular expression/);
+  assert.deepEqual([...errors.slice(0, 2), ...errors.slice(3)], [
+    'domains.allow must be an array',
+    'domains.block contains an invalid pattern',
+    "chats.mode must be 'include' or 'exclude'",
+    'chats.ids must be an array of non-empty strings',
+    'skipOwnMessages must be a boolean'
+  ]);
+});
+
+test('validateRules rejects chat and sender lists with anything but strings', () => {
+  assert.deepEqual(validateRules({ chats: { names: ['Jobs', 42] }, senders: { allow: [''] } }), [
+    'chats.names must be an array of non-empty strings',
+    'senders.allow must be an array of non-empty strings'
+  ]);
+});
+
+test('evaluateLink matches plain domains including subdomains', () => {
+  const rules = compileRules({ domains: { allow: ['linkedin.com'] } });
+  assert.deepEqual(evaluateLink(rules, 'https://www.linkedin.com/jobs/1'), { allowed: true, rule: { type: 'domain_allow', pattern: 'linkedin.com' } });
+  assert.equal(evaluateLink(rules, 'https://linkedin.com/').allowed, true);
+  assert.deepEqual(evaluateLink(rules, 'https://notlinkedin.com/'), { allowed: false, rule: { type: 'domain_not_allowed' } });
+});
+
+test('evaluateLink matches wildcard patterns on subdomains only, and regular expressions', () => {
+  const rules = compileRules({ domains: { allow: ['*.greenhouse.io', '/^jobs\\./i'] } });
+  assert.equal(evaluateLink(rules, 'https://boards.greenhouse.io/acme').allowed, true);
+  assert.equal(evaluateLink(rules, 'https://greenhouse.io/').allowed, false);
+  assert.equal(evaluateLink(rules, 'https://JOBS.example.com/').allowed, true);
+});
+
+test('evaluateLink lets blocked domains win over allowed ones', () => {
+  const rules = compileRules({ domains: { allow: ['example.com'], block: ['ads.example.com'] } });
+  assert.deepEqual(evaluateLink(rules, 'https://ads.example.com/x'), { allowed: false, rule: { type: 'domain_block', pattern: 'ads.example.com' } });
+  assert.equal(evaluateLink(rules, 'https://www.example.com/x').allowed, true);
+  assert.deepEqual(evaluateLink(rules, 'not a url'), { allowed: false, rule: { type: 'invalid_url' } });
+});
+
+test('evaluateLink allows everything without domain rules', () => {
+  assert.deepEqual(evaluateLink(compileRules(), 'https://example.com/'), { allowed: true, rule: null });
+});
+
+test('evaluateMessage skips own messages unless configured otherwise', () => {
+  assert.deepEqual(evaluateMessage(compileRules(), { fromMe: true }), { allowed: false, rule: { type: 'own_message' } });
+  assert.equal(evaluateMessage(compileRules({ skipOwnMessages: false }), { fromMe: true }).allowed, true);
+});
+
+test('evaluateMessage applies chat include and exclude lists by ID or name', () => {
+  const include = compileRules({ chats: { mode: 'include', ids: ['1@g.us'], names: ['Job Board'] } });
+  assert.deepEqual(evaluateMessage(include, { chatId: '1@g.us' }), { allowed: true, rule: { type: 'chat_included', pattern: '1@g.us' } });
+  assert.equal(evaluateMessage(include, { chatId: '2@g.us', chatName: 'job board' }).allowed, true);
+  assert.deepEqual(evaluateMessage(include, { chatId: '3@g.us', chatName: 'Other' }), { allowed: false, rule: { type: 'chat_not_included' } });
+
+  const exclude = compileRules({ chats: { mode: 'exclude', names: ['Spam'] } });
+  assert.deepEqual(evaluateMessage(exclude, { chatId: '4@g.us', chatName: 'Spam' }), { allowed: false, rule: { type: 'chat_excluded', pattern: 'Spam' } });
+  assert.deepEqual(evaluateMessage(exclude, { chatId: '5@g.us', chatName: 'Jobs' }), { allowed: true, rule: null });
+});
+
+test('evaluateMessage matches allowed senders by ID or phone number', () => {
+  const rules = compileRules({ senders: { allow: ['+49 170 1234567'] } });
+  assert.deepEqual(evaluateMessage(rules, { senderId: '491701234567@c.us' }), { allowed: true, rule: { type: 'sender_allowed', pattern: '+49 170 1234567' } });
+  assert.deepEqual(evaluateMessage(rules, { senderId: '491709999999@c.us' }), { allowed: false, rule: { type: 'sender_not_allowed' } });
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MediaLinkExtractor, vcardUrls, locationText } = require('../media-links');
+
+test('vcardUrls reads URL and social profile fields', () => {
+  const vcard = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    'FN:Ana Recruiter',
+    'item1.URL;type=pref:https://jobs.example.com/ana',
+    'X-SOCIALPROFILE;type=linkedin:https://www.linkedin.com/in/ana',
+    'TEL;type=CELL:+49 170 1234567',
+    'END:VCARD'
+  ].join('\r\n');
+
+  assert.deepEqual(vcardUrls(vcard), ['https://jobs.example.com/ana', 'https://www.linkedin.com/in/ana']);
+});
+
+test('vcardUrls unfolds continued lines and unescapes values', () => {
+  const vcard = 'BEGIN:VCARD\nURL:https://example.com/a\\,b\n  /c\nEND:VCARD';
+  assert.deepEqual(vcardUrls(vcard), ['https://example.com/a,b /c']);
+  assert.deepEqual(vcardUrls(undefined), []);
+});
+
+test('locationText builds a map link and adds the place\'s URL and description', () => {
+  assert.equal(locationText({ latitude: 52.52, longitude: '13.405', url: 'https://acme.example', description: 'Acme HQ' }), [
+    'https://www.google.com/maps/search/?api=1&query=52.52,13.405',
+    'https://acme.example',
+    'Acme HQ'
+  ].join('\n'));
+  assert.equal(locationText({ latitude: 'n/a', longitude: 1, description: 'Somewhere' }), 'Somewhere');
+  assert.equal(locationText(null), '');
+});
+
+test('extract tags links with where they were found', () => {
+  const extractor = new MediaLinkExtractor({ downloadDocuments: false });
+
+  const contact = extractor.extract({ type: 'vcard', body: 'BEGIN:VCARD\nURL:https://example.com/card\nEND:VCARD' });
+  assert.deepEqual(contact.map(link => [link.canonical, link.origin]), [['https://example.com/card', 'vcard']]);
+
+  const place = extractor.extract({ type: 'location', body: 'thumbnail', location: { latitude: 1, longitude: 2 } });
+  assert.deepEqual(place.map(link => link.origin), ['location']);
+
+  const poll = extractor.extract({ type: 'poll_creation', pollName: 'Best board?', pollOptions: [{ name: 'example.com' }] });
+  assert.deepEqual(poll.map(link => [link.canonical, link.origin]), [['https://example.com/', 'poll']]);
+
+  const image = extractor.extract({ type: 'image', body: 'https://example.com/a', links: [{ link: 'https://example.com/a' }] });
+  assert.deepEqual(image.map(link => [link.canonical, link.origin]), [['https://example.com/a', 'caption']]);
+});
+
+test('documentLinks downloads nothing unless enabled', async () => {
+  let downloads = 0;
+  const message = {
+    type: 'document',
+    hasMedia: true,
+    id: { _serialized: 'doc-1' },
+    _data: { mimetype: 'text/plain', size: 40 },
+    downloadMedia: async () => {
+      downloads += 1;
+      return { data: Buffer.from('https://example.com/a https://example.com/b').toString('base64') };
+    }
+  };
+
+  assert.deepEqual(await new MediaLinkExtractor({ downloadDocuments: false }).documentLinks(message), []);
+  assert.equal(downloads, 0);
+
+  const extractor = new MediaLinkExtractor({ downloadDocuments: true });
+  const found = await extractor.documentLinks(message, [{ canonical: 'https://example.com/a' }]);
+  assert.deepEqual(found.map(link => [link.canonical, link.origin]), [['https://example.com/b', 'document']]);
+  assert.equal(downloads, 1);
+});
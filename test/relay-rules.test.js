@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_TEMPLATE,
+  validateRelay,
+  createRelay,
+  updateRelay,
+  compileRelays,
+  relayAccepts,
+  isTarget,
+  renderRelay,
+  describeRelay
+} = require('../relay-rules');
+
+const link = url => ({ url, canonical: url, expanded: null });
+
+test('validateRelay accepts a minimal rule', () => {
+  assert.deepEqual(validateRelay({ sources: ['*'], target: '491701234567' }), []);
+});
+
+test('validateRelay reports every problem', () => {
+  assert.deepEqual(validateRelay(null), ['body must be an object']);
+  const errors = validateRelay({
+    sources: [],
+    target: ' ',
+    domains: ['/[/'],
+    template: '{{#open}}',
+    mode: 'weekly',
+    digestIntervalMinutes: 0,
+    enabled: 'yes',
+    description: 5
+  });
+
+  // The parsers' own messages follow the field name
+  assert.match(errors[2], /^domains: Invalid regular expression/);
+  assert.match(errors[3], /^template: Unclosed section "open"/);
+  assert.deepEqual([...errors.slice(0, 2), ...errors.slice(4)], [
+    'sources must be a non-empty array of chat IDs or names',
+    'target must be a chat ID or phone number',
+    'mode must be one of instant, digest',
+    'digestIntervalMinutes must be a positive integer',
+    'enabled must be a boolean',
+    'description must be a string'
+  ]);
+});
+
+test('validateRelay rejects a target that is also a source', () => {
+  assert.deepEqual(validateRelay({ sources: ['1@g.us'], target: '1@g.us' }), ['target must not be one of the sources']);
+});
+
+test('createRelay fills in defaults and updateRelay keeps absent fields', () => {
+  const relay = createRelay({ sources: ['Jobs'], target: ' 2@g.us ' });
+  assert.equal(relay.target, '2@g.us');
+  assert.equal(relay.template, DEFAULT_TEMPLATE);
+  assert.equal(relay.mode, 'instant');
+  assert.equal(relay.digestIntervalMinutes, 60);
+  assert.equal(relay.enabled, true);
+  assert.match(relay.id, /^[0-9a-f-]{36}$/);
+
+  const updated = updateRelay(relay, { enabled: false, target: undefined });
+  assert.equal(updated.enabled, false);
+  assert.equal(updated.target, '2@g.us');
+  assert.equal(updated.id, relay.id);
+});
+
+test('relayAccepts checks sources, target and domains', () => {
+  const [relay] = compileRelays([createRelay({ sources: ['Job Board', '1@g.us'], target: '491701234567', domains: ['linkedin.com'] })]);
+
+  assert.equal(relayAccepts(relay, link('https://www.linkedin.com/jobs/1'), { chatId: '3@g.us', chatName: 'job board' }), true);
+  assert.equal(relayAccepts(relay, link('https://www.linkedin.com/jobs/1'), { chatId: '1@g.us' }), true);
+  assert.equal(relayAccepts(relay, link('https://example.com/'), { chatId: '1@g.us' }), false);
+  assert.equal(relayAccepts(relay, link('https://www.linkedin.com/jobs/1'), { chatId: '4@g.us', chatName: 'Other' }), false);
+  assert.equal(relayAccepts({ ...relay, enabled: false }, link('https://www.linkedin.com/jobs/1'), { chatId: '1@g.us' }), false);
+});
+
+test('relayAccepts never posts a link back into the target chat', () => {
+  const [relay] = compileRelays([createRelay({ sources: ['*'], target: '+49 170 1234567' })]);
+  assert.equal(isTarget(relay, '491701234567@c.us'), true);
+  assert.equal(relayAccepts(relay, link('https://example.com/'), { chatId: '491701234567@c.us' }), false);
+  assert.equal(relayAccepts(relay, link('https://example.com/'), { chatId: '1@g.us' }), true);
+});
+
+test('renderRelay fills the template without HTML escaping', () => {
+  const relay = createRelay({ sources: ['*'], target: '2@g.us' });
+  const context = { senderName: 'Ana & Bo', chatName: 'Jobs <Berlin>', isGroup: true };
+  assert.equal(renderRelay(relay, link('https://example.com/?a=1&b=2'), context), '🔗 https://example.com/?a=1&b=2\nShared by Ana & Bo in Jobs <Berlin>');
+  assert.equal(renderRelay(relay, link('https://example.com/'), { ...context, isGroup: false }), '🔗 https://example.com/\nShared by Ana & Bo');
+
+  const custom = { ...relay, template: '{{title}} ({{domain}})', description: '' };
+  assert.equal(renderRelay(custom, { ...link('https://www.example.com/a'), metadata: { title: 'Engineer' } }, context), 'Engineer (www.example.com)');
+});
+
+test('describeRelay leaves out the compiled filter', () => {
+  const [relay] = compileRelays([createRelay({ sources: ['*'], target: '2@g.us', domains: ['example.com'] })]);
+  assert.ok(relay.compiledFilter);
+  assert.equal('compiledFilter' in describeRelay(relay), false);
+});
@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Stands in for the Slack, Discord, Telegram and custom endpoints
+const server = http.createServer();
+const requests = [];
+
+server.on('request', (req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+    res.end('ok');
+  });
+});
+
+let baseUrl;
+let queue;
+let tmpDir;
+// Registered destinations by id, as the server's authorizer finds them in the registry
+const destinations = new Map();
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  // Read once when sink-adapters is loaded, which happens after this
+  process.env.TELEGRAM_API_URL = `${baseUrl}/telegram/`;
+});
+
+test.after(() => {
+  queue?.stop();
+  server.close();
+  if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// The bot's send path: format the event, queue it, let the queue add the credentials
+function setup() {
+  if (queue) return;
+
+  const DeliveryQueue = require('../delivery-queue');
+  const { deliveryCredentials } = require('../webhook-destinations');
+
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sink-adapters-'));
+  queue = new DeliveryQueue({
+    queueFile: path.join(tmpDir, 'queue.json'),
+    deadLetterFile: path.join(tmpDir, 'dead-letter.json'),
+    authorizer: entry => deliveryCredentials(entry.channel, destinations.get(entry.destinationId))
+  });
+}
+
+// Resolves once the queue is done with the entry, i.e. after it persisted the outcome
+async function settled(id) {
+  for (;;) {
+    const entry = queue.get(id);
+    if (!['pending', 'in_flight'].includes(entry.status)) return entry;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+async function deliver(destination, type, payload, event = null) {
+  setup();
+  const { formatDelivery } = require('../sink-adapters');
+
+  destinations.set(destination.id, destination);
+  const request = formatDelivery(destination, type, payload, event);
+  const { id } = queue.enqueue({
+    userId: 'user-1',
+    channel: 'destination',
+    destinationId: destination.id,
+    type,
+    url: request.url,
+    payload: request.payload,
+    headers: { 'Content-Type': 'application/json', ...request.headers }
+  });
+
+  const entry = await settled(id);
+  assert.equal(entry.status, 'delivered', entry.lastError);
+  return { entry, received: requests.pop() };
+}
+
+const linkEvent = {
+  userId: 'user-1',
+  link: { url: 'https://example.com/a', expanded: 'https://example.com/article', metadata: { title: 'An <article>' } },
+  context: { senderName: 'Ana & Co', chatName: 'Reading list', isGroup: true, messageText: 'look at this\nnow', backfill: false }
+};
+const linkPayload = { type: 'link_detected', url: 'https://example.com/article', sender: 'Ana & Co' };
+
+test('slack gets escaped mrkdwn text, the webhook URL is stored redacted', async () => {
+  const destination = { id: 'slack-1', type: 'slack', url: `${baseUrl}/slack/T000/B000/secret`, sink: { username: 'Links', iconEmoji: ':link:' } };
+  const { entry, received } = await deliver(destination, 'link_detected', linkPayload, linkEvent);
+
+  assert.equal(received.url, '/slack/T000/B000/secret');
+  assert.equal(received.headers['content-type'], 'application/json');
+  assert.deepEqual(JSON.parse(received.body), {
+    text: '🔗 New link from *Ana &amp; Co* in *Reading list*: <https://example.com/article|An &lt;article&gt;>\n>look at this\n>now',
+    username: 'Links',
+    icon_emoji: ':link:'
+  });
+  assert.equal(entry.url, `${baseUrl}/********`);
+});
+
+test('discord gets an embed that mentions nobody', async () => {
+  const destination = { id: 'discord-1', type: 'discord', url: `${baseUrl}/discord/123/token`, sink: { avatarUrl: 'https://example.com/a.png' } };
+  const { entry, received } = await deliver(destination, 'link_detected', linkPayload, linkEvent);
+  const body = JSON.parse(received.body);
+
+  assert.equal(received.url, '/discord/123/token');
+  assert.equal(body.avatar_url, 'https://example.com/a.png');
+  assert.deepEqual(body.allowed_mentions, { parse: [] });
+  assert.equal(body.embeds[0].title, 'An <article>');
+  assert.equal(body.embeds[0].url, 'https://example.com/article');
+  assert.deepEqual(body.embeds[0].fields, [
+    { name: 'Sender', value: 'Ana & Co', inline: true },
+    { name: 'Chat', value: 'Reading list', inline: true }
+  ]);
+  assert.equal(entry.url, `${baseUrl}/********`);
+});
+
+test('telegram goes to TELEGRAM_API_URL with the bot token added at send time', async () => {
+  const destination = { id: 'telegram-1', type: 'telegram', sink: { botToken: '123:abc', chatId: -100 } };
+  const { entry, received } = await deliver(destination, 'connection_status', { status: 'connected', userId: 'user-1' });
+
+  assert.equal(received.url, '/telegram/bot123:abc/sendMessage');
+  assert.deepEqual(JSON.parse(received.body), {
+    chat_id: -100,
+    text: '📱 WhatsApp status for <code>user-1</code>: <b>connected</b>',
+    parse_mode: 'HTML'
+  });
+  assert.equal(entry.url, `${baseUrl}/telegram/bot********/sendMessage`);
+  assert.ok(!JSON.stringify(entry).includes('123:abc'));
+});
+
+test('chat sinks skip events they do not render', () => {
+  const { formatDelivery } = require('../sink-adapters');
+  assert.equal(formatDelivery({ type: 'slack', url: 'https://hooks.slack.com/x' }, 'message_ack', {}), null);
+});
+
+test('http_template renders the body with its content type, custom headers and auth are added at send time', async () => {
+  const destination = {
+    id: 'template-1',
+    type: 'http_template',
+    url: `${baseUrl}/ingest`,
+    auth: { type: 'bearer', token: 'token-1' },
+    sink: {
+      template: '{"event":"{{event_type}}","who":"{{sender}}","url":"{{url}}"}',
+      headers: { 'X-Api-Key': 'key-1' }
+    }
+  };
+  const { entry, received } = await deliver(destination, 'link_detected', { ...linkPayload, sender: 'Ana "quoted"' }, linkEvent);
+
+  assert.equal(received.url, '/ingest');
+  assert.equal(received.headers['content-type'], 'application/json');
+  assert.equal(received.headers['x-api-key'], 'key-1');
+  assert.equal(received.headers.authorization, 'Bearer token-1');
+  assert.deepEqual(JSON.parse(received.body), { event: 'link_detected', who: 'Ana "quoted"', url: 'https://example.com/article' });
+  assert.deepEqual(entry.headers, { 'Content-Type': 'application/json' });
+});
+
+test('http_template inserts values as is for other content types', async () => {
+  const destination = {
+    id: 'template-2',
+    type: 'http_template',
+    url: `${baseUrl}/form`,
+    sink: { template: 'status={{status}}&user={{userId}}', contentType: 'application/x-www-form-urlencoded' }
+  };
+  const { received } = await deliver(destination, 'connection_status', { status: 'qr "ready"', userId: 'user-1' });
+
+  assert.equal(received.headers['content-type'], 'application/x-www-form-urlencoded');
+  assert.equal(received.body, 'status=qr "ready"&user=user-1');
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { computeSignature, buildSignatureHeaders, verifySignature } = require('../webhook-signing');
+
+const body = JSON.stringify({ type: 'link_detected', url: 'https://example.com/' });
+const now = () => Math.floor(Date.now() / 1000);
+
+test('computeSignature is an HMAC-SHA256 of timestamp and body', () => {
+  const expected = crypto.createHmac('sha256', 'secret').update(`1700000000.${body}`).digest('hex');
+  assert.equal(computeSignature('secret', 1700000000, body), expected);
+});
+
+test('buildSignatureHeaders signs with every active secret', () => {
+  const headers = buildSignatureHeaders(body, ['old', 'new'], 1700000000);
+  assert.equal(headers['X-Timestamp'], '1700000000');
+  assert.equal(headers['X-Signature'], [
+    `sha256=${computeSignature('old', 1700000000, body)}`,
+    `sha256=${computeSignature('new', 1700000000, body)}`
+  ].join(','));
+});
+
+test('verifySignature accepts either secret during a rotation', () => {
+  const headers = buildSignatureHeaders(body, ['old', 'new']);
+  const request = { rawBody: body, signature: headers['X-Signature'], timestamp: headers['X-Timestamp'] };
+
+  assert.equal(verifySignature({ ...request, secrets: 'old' }), true);
+  assert.equal(verifySignature({ ...request, secrets: ['other', 'new'] }), true);
+  assert.equal(verifySignature({ ...request, rawBody: Buffer.from(body), secrets: 'new' }), true);
+  assert.equal(verifySignature({ ...request, secrets: 'other' }), false);
+});
+
+test('verifySignature rejects tampered bodies, stale timestamps and missing fields', () => {
+  const headers = buildSignatureHeaders(body, ['secret']);
+  const request = { rawBody: body, signature: headers['X-Signature'], timestamp: headers['X-Timestamp'], secrets: 'secret' };
+
+  assert.equal(verifySignature({ ...request, rawBody: `${body} ` }), false);
+  assert.equal(verifySignature({ ...request, timestamp: String(now() + 1) }), false);
+  assert.equal(verifySignature({ ...request, signature: 'sha256=abc' }), false);
+  assert.equal(verifySignature({ ...request, signature: undefined }), false);
+
+  const stale = now() - 301;
+  const staleHeaders = buildSignatureHeaders(body, ['secret'], stale);
+  assert.equal(verifySignature({ ...request, signature: staleHeaders['X-Signature'], timestamp: String(stale) }), false);
+  assert.equal(verifySignature({ ...request, signature: staleHeaders['X-Signature'], timestamp: String(stale), toleranceSeconds: 600 }), true);
+});
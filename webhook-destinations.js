@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const { validateRules, compileRules, evaluateMessage, evaluateLink } = require('./link-filter');
+const { PAYLOAD_VERSIONS, DEFAULT_PAYLOAD_VERSION } = require('./payload-schema');
+const { validateSink, sinkUrl, redactUrl, describeSink } = require('./sink-adapters');
+
+// Outbound webhook destinations. Besides the bot's own webhookUrl and callbackUrl
+// (implicit destinations), a user can register any number of destinations:
+//
+// {
+//   id: 'b1946ac9-...',
+//   type: 'webhook',                                    // or a built-in sink, see sink-adapters.js
+//   url: 'https://example.com/hooks/whatsapp',
+//   sink: null,                                         // options of the sink type
+//   events: ['link_detected', 'connection_status'],   // or ['*']
+//   payloadVersion: 2,
+//   auth: { type: 'bearer', token: '...' },             // none | bearer | basic | header
+//   filter: { domains: { allow: ['linkedin.com'] } },   // link filter rules, link_detected only
+//   enabled: true,
+//   description: 'CRM import'
+// }
+
+const EVENT_TYPES = ['link_detected', 'connection_status', 'qr_code', 'pairing_code', 'message_ack'];
+const AUTH_TYPES = ['none', 'bearer', 'basic', 'header'];
+
+// Required fields per auth type; the secret ones are never returned by the API
+const AUTH_FIELDS = {
+  none: [],
+  bearer: ['token'],
+  basic: ['username', 'password'],
+  header: ['name', 'value']
+};
+const SECRET_AUTH_FIELDS = new Set(['token', 'password', 'value']);
+
+// Ids of the implicit destinations match the delivery channel they have always used
+const IMPLICIT_IDS = ['webhook', 'callback'];
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Returns a list of problems; empty means the destination is usable.
+// Updates are checked merged over the stored destination.
+function validateDestination(fields) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) return ['body must be an object'];
+
+  const errors = [];
+  const { type = 'webhook', url, sink, events, payloadVersion, auth, filter, enabled, description } = fields;
+
+  // Telegram's url is the Bot API base and defaults to TELEGRAM_API_URL
+  if ((type !== 'telegram' || url != null) && !isHttpUrl(url)) {
+    errors.push('url must be an http(s) URL');
+  }
+
+  errors.push(...validateSink(type, sink));
+
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      errors.push('events must be a non-empty array');
+    } else if (!events.every(event => event === '*' || EVENT_TYPES.includes(event))) {
+      errors.push(`events may contain ${EVENT_TYPES.join(', ')} or *`);
+    }
+  }
+
+  if (payloadVersion !== undefined && !PAYLOAD_VERSIONS.includes(payloadVersion)) {
+    errors.push(`payloadVersion must be one of ${PAYLOAD_VERSIONS.join(', ')}`);
+  }
+
+  if (auth !== undefined && auth !== null) {
+    if (!AUTH_TYPES.includes(auth.type)) {
+      errors.push(`auth.type must be one of ${AUTH_TYPES.join(', ')}`);
+    } else {
+      for (const field of AUTH_FIELDS[auth.type]) {
+        if (typeof auth[field] !== 'string' || !auth[field]) {
+          errors.push(`auth.${field} is required for auth type ${auth.type}`);
+        }
+      }
+      if (auth.type === 'header' && typeof auth.name === 'string' && !/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(auth.name)) {
+        errors.push('auth.name must be a valid header name');
+      }
+    }
+  }
+
+  errors.push(...validateRules(filter).map(error => `filter: ${error}`));
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    errors.push('description must be a string');
+  }
+
+  return errors;
+}
+
+function normalizeAuth(auth) {
+  if (!auth || auth.type === 'none') return { type: 'none' };
+
+  const normalized = { type: auth.type };
+  for (const field of AUTH_FIELDS[auth.type] || []) normalized[field] = auth[field];
+  return normalized;
+}
+
+// New destination from validated request fields
+function createDestination(fields) {
+  const now = new Date().toISOString();
+
+  return {
+    id: crypto.randomUUID(),
+    type: fields.type || 'webhook',
+    url: fields.url || null,
+    sink: fields.sink || null,
+    events: fields.events || ['link_detected'],
+    payloadVersion: fields.payloadVersion || DEFAULT_PAYLOAD_VERSION,
+    auth: normalizeAuth(fields.auth),
+    filter: fields.filter || null,
+    enabled: fields.enabled ?? true,
+    description: fields.description || '',
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+// Apply validated partial fields; fields that are absent stay as they are
+function updateDestination(destination, fields) {
+  const updated = { ...destination, updatedAt: new Date().toISOString() };
+
+  for (const key of ['type', 'url', 'sink', 'events', 'payloadVersion', 'filter', 'enabled', 'description']) {
+    if (fields[key] !== undefined) updated[key] = fields[key];
+  }
+  if (fields.auth !== undefined) updated.auth = normalizeAuth(fields.auth);
+
+  return updated;
+}
+
+// The bot's webhookUrl (links only, snake_case v1 payloads) and callbackUrl (every event)
+function implicitDestinations({ webhookUrl, callbackUrl, payloadVersion }) {
+  const destinations = [];
+  const version = payloadVersion || DEFAULT_PAYLOAD_VERSION;
+
+  if (webhookUrl) {
+    destinations.push({ id: 'webhook', channel: 'webhook', implicit: true, url: webhookUrl, events: ['link_detected'], payloadVersion: version, enabled: true });
+  }
+  if (callbackUrl) {
+    destinations.push({ id: 'callback', channel: 'callback', implicit: true, url: callbackUrl, events: ['*'], payloadVersion: version, enabled: true });
+  }
+
+  return destinations;
+}
+
+function isImplicit(id) {
+  return IMPLICIT_IDS.includes(id);
+}
+
+function subscribes(destination, type) {
+  return destination.enabled !== false && (destination.events.includes('*') || destination.events.includes(type));
+}
+
+// Registered destinations with their filter rules precompiled, as the bot keeps them.
+// Own messages already passed the user's filter, so a destination only drops them when asked to.
+function compileDestinations(destinations = []) {
+  return destinations.map(destination => ({
+    ...destination,
+    channel: 'destination',
+    compiledFilter: destination.filter ? compileRules({ skipOwnMessages: false, ...destination.filter }) : null
+  }));
+}
+
+// A destination's own filter narrows the links the bot's filter already let through
+function acceptsLink(destination, link, context) {
+  const compiled = destination.compiledFilter;
+  if (!compiled) return true;
+
+  return evaluateMessage(compiled, context).allowed && evaluateLink(compiled, link.canonical).allowed;
+}
+
+function authHeaders(auth) {
+  switch (auth?.type) {
+    case 'bearer':
+      return { Authorization: `Bearer ${auth.token}` };
+    case 'basic':
+      return { Authorization: `Basic ${Buffer.from(`${auth.username}:${auth.password}`).toString('base64')}` };
+    case 'header':
+      return { [auth.name]: auth.value };
+    default:
+      return {};
+  }
+}
+
+// Credentials of a delivery as { url, headers }, added by the delivery queue on every attempt
+// rather than stored with the entry: WEBHOOK_SECRET / SUPABASE_SERVICE_ROLE_KEY for the implicit
+// destinations; the sink URL, auth and custom sink headers of registered ones
+function deliveryCredentials(channel, destination) {
+  switch (channel) {
+    case 'webhook':
+      return { headers: process.env.WEBHOOK_SECRET ? { Authorization: `Bearer ${process.env.WEBHOOK_SECRET}` } : {} };
+    case 'callback':
+      return { headers: process.env.SUPABASE_SERVICE_ROLE_KEY ? { Authorization: `Bearer ${process.env.SUPABASE_SERVICE_ROLE_KEY}` } : {} };
+    case 'destination':
+      if (!destination) return {};
+      return {
+        url: sinkUrl(destination),
+        headers: {
+          ...authHeaders(destination.auth),
+          ...(destination.type === 'http_template' && destination.sink?.headers)
+        }
+      };
+    default:
+      return {};
+  }
+}
+
+// API view with secrets (auth fields, sink tokens, credential-bearing URLs) masked
+function describeDestination(destination) {
+  const { compiledFilter, channel, ...rest } = destination;
+  if (rest.implicit) return rest;
+
+  const auth = {};
+  for (const [field, value] of Object.entries(rest.auth || {})) {
+    auth[field] = SECRET_AUTH_FIELDS.has(field) ? '********' : value;
+  }
+
+  return { ...rest, url: redactUrl(rest.type, rest.url), sink: describeSink(rest.type, rest.sink), auth };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  AUTH_TYPES,
+  validateDestination,
+  createDestination,
+  updateDestination,
+  implicitDestinations,
+  isImplicit,
+  subscribes,
+  compileDestinations,
+  acceptsLink,
+  deliveryCredentials,
+  describeDestination
+};
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+
+// Receivers should reject anything signed more than five minutes ago
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+// Signature covers "<timestamp>.<raw body>" so a captured body can't be replayed with a new timestamp
+function computeSignature(secret, timestamp, rawBody) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+}
+
+// Build X-Timestamp / X-Signature headers. During a secret rotation every active
+// secret signs the body, so receivers holding either the old or new secret can verify.
+function buildSignatureHeaders(rawBody, secrets, timestamp = Math.floor(Date.now() / 1000)) {
+  const signatures = secrets.map(secret => `sha256=${computeSignature(secret, timestamp, rawBody)}`);
+
+  return {
+    'X-Timestamp': String(timestamp),
+    'X-Signature': signatures.join(',')
+  };
+}
+
+// Verification helper for webhook receivers.
+// `secrets` may be a single secret or a list (e.g. old and new during a rotation).
+function verifySignature({ rawBody, signature, timestamp, secrets, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS }) {
+  if (!rawBody || !signature || !timestamp) return false;
+
+  const ts = parseInt(timestamp, 10);
+  if (!Number.isFinite(ts)) return false;
+  if (Math.abs(Math.floor(Date.now() / 1000) - ts) > toleranceSeconds) return false;
+
+  const candidates = String(signature)
+    .split(',')
+    .map(part => part.trim().replace(/^sha256=/, ''))
+    .filter(Boolean);
+
+  const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : rawBody;
+
+  return [].concat(secrets).filter(Boolean).some(secret => {
+    const expected = Buffer.from(computeSignature(secret, ts, body), 'hex');
+    return candidates.some(candidate => {
+      const received = Buffer.from(candidate, 'hex');
+      return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_TOLERANCE_SECONDS,
+  computeSignature,
+  buildSignatureHeaders,
+  verifySignature
+};
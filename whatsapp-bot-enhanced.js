@@ -1,26 +1,90 @@
-const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
+const { Client, LocalAuth } = require('whatsapp-web.js');
 const qrcode = require('qrcode');
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
-
-class WhatsAppBot {
+const EventEmitter = require('events');
+const BotSupervisor = require('./bot-supervisor');
+const OutboundMessenger = require('./outbound-messenger');
+const ChatRelay = require('./chat-relay');
+const ChatCommands = require('./chat-commands');
+const { MediaLinkExtractor } = require('./media-links');
+const { compileRules, evaluateMessage, evaluateLink } = require('./link-filter');
+const { resolveLink } = require('./link-extractor');
+const { DEFAULT_PAYLOAD_VERSION, buildMessageContext, buildLinkPayload } = require('./payload-schema');
+const { implicitDestinations, compileDestinations, subscribes, acceptsLink } = require('./webhook-destinations');
+const { formatDelivery } = require('./sink-adapters');
+const { logger, withContext, newCorrelationId } = require('./logger');
+const metrics = require('./metrics');
+
+class WhatsAppBot extends EventEmitter {
   constructor(userId, options = {}) {
+    super();
     this.userId = userId;
+    this.log = logger.child({ userId });
     this.connected = false;
     this.status = 'disconnected';
     this.webhookUrl = options.webhookUrl;
     this.callbackUrl = options.callbackUrl;
-    this.processedMessages = new Set();
+    this.deliveryQueue = options.deliveryQueue;
+    this.sessionStorage = options.sessionStorage || null; // LocalAuth under ./sessions when not set
+    this.payloadVersion = options.payloadVersion || DEFAULT_PAYLOAD_VERSION;
+    this.resumed = !!options.resumed; // Restored from the registry on boot rather than started via API
+    this.dedupStore = options.dedupStore;
+    this.linkEnricher = options.linkEnricher || null; // Open Graph / oEmbed metadata, shared by all bots
+    this.linkArchive = options.linkArchive || null; // Local archive of dispatched links, shared by all bots
+    // Hold a new link this long to collect the other chats it shows up in (0 = dispatch immediately)
+    this.aggregateMs = (parseInt(process.env.DEDUP_AGGREGATE_SECONDS, 10) || 0) * 1000;
+    this.heldTimers = new Map(); // canonical URL -> timer of a held link
+    this.paused = !!options.paused; // Paused bots stay connected but dispatch nothing
+    this.setFilters(options.filters);
+    this.setWebhooks(options.webhooks);
+    this.linkOptions = {
+      expandShortLinks: options.expandShortLinks ?? process.env.EXPAND_SHORT_LINKS === 'true',
+      maxRedirects: parseInt(process.env.SHORT_LINK_MAX_REDIRECTS, 10) || 5,
+      timeout: parseInt(process.env.SHORT_LINK_TIMEOUT_MS, 10) || 5000
+    };
+    // Links in captions, documents, contact cards, locations and polls
+    this.mediaLinks = new MediaLinkExtractor({ log: this.log });
     this.qrCode = null;
     this.qrCodeDataURL = null;
+    // 'qr' (scan from a second screen) or 'pairing_code' (enter a code on the phone itself)
+    this.loginMethod = options.loginMethod || 'qr';
+    this.phoneNumber = options.phoneNumber || null;
+    this.pairingCodeIntervalMs = parseInt(process.env.PAIRING_CODE_INTERVAL_MS, 10) || 180000;
+    this.pairingCode = null;
     
+    this.client = this.createClient();
+    this.setupEventHandlers();
+
+    // Reconnects, login timeouts and health checks
+    this.supervisor = new BotSupervisor(this, options.supervisor);
+
+    // Rate-limited sending through this session
+    this.messenger = new OutboundMessenger(this, options.outbound);
+
+    // Relay rules: detected links reposted into other chats through this session
+    this.relay = new ChatRelay(this, { relays: options.relays });
+
+    // !status, !pause, ... sent to the account itself or from allowlisted numbers
+    this.commands = new ChatCommands(this, options.commands);
+  }
+
+  createClient() {
+    // Pairing codes replace QR codes; whatsapp-web.js requests a new code every interval
+    const pairing = this.loginMethod === 'pairing_code' ? {
+      pairWithPhoneNumber: {
+        phoneNumber: this.phoneNumber,
+        showNotification: true,
+        intervalMs: this.pairingCodeIntervalMs
+      }
+    } : {};
+
     // Create WhatsApp Web client
-    this.client = new Client({
-      authStrategy: new LocalAuth({ 
-        clientId: userId,
-        dataPath: './sessions'
-      }),
+    return new Client({
+      ...pairing,
+      authStrategy: this.sessionStorage
+        ? this.sessionStorage.createAuthStrategy(this.userId)
+        : new LocalAuth({ clientId: this.userId, dataPath: './sessions' }),
       puppeteer: {
         headless: 'new',
         args: [
@@ -32,69 +96,93 @@ class WhatsAppBot {
         ]
       }
     });
-    
-    this.setupEventHandlers();
   }
 
   setupEventHandlers() {
+    const client = this.client;
+
+    // Ignore late events from a client that was replaced by a reconnect. Everything
+    // logged while handling one event shares an eventId and carries the userId.
+    const on = (event, handler) => client.on(event, (...args) => {
+      if (client !== this.client) return;
+      return withContext({ userId: this.userId, eventId: newCorrelationId(), event }, () => handler(...args));
+    });
+
     // QR Code event - non-blocking!
-    this.client.on('qr', async (qr) => {
-      console.log(`QR Code received for user ${this.userId}`);
+    on('qr', async (qr) => {
+      this.log.info('QR code received');
       await this.handleQRCode(qr);
     });
 
+    // Pairing code event - only emitted for loginMethod 'pairing_code'
+    on('code', async (code) => {
+      this.log.info('Pairing code received');
+      await this.handlePairingCode(code);
+    });
+
     // Ready event - connection established
-    this.client.on('ready', async () => {
-      console.log(`Client is ready for user ${this.userId}!`);
+    on('ready', async () => {
+      this.log.info('Client is ready');
       await this.handleReady();
     });
 
-    // Message event - for link detection
-    this.client.on('message', async (message) => {
+    // RemoteAuth finished the first backup of a new session
+    on('remote_session_saved', () => {
+      this.log.info('Session backed up to remote store');
+    });
+
+    // Message event - for link detection. message_create also covers our own
+    // outgoing messages, which the filter rules skip unless told otherwise.
+    on('message_create', async (message) => {
       await this.handleMessage(message);
     });
 
+    // Delivery state of messages we sent
+    on('message_ack', (message, ack) => {
+      this.handleMessageAck(message, ack);
+    });
+
     // Disconnection event
-    this.client.on('disconnected', async (reason) => {
-      console.log(`Client disconnected for user ${this.userId}:`, reason);
+    on('disconnected', async (reason) => {
+      this.log.info('Client disconnected', { reason });
       await this.handleDisconnected(reason);
     });
 
     // Authentication failure
-    this.client.on('auth_failure', async (msg) => {
-      console.error(`Authentication failed for user ${this.userId}:`, msg);
-      this.status = 'auth_failed';
-      this.notifyStatusChange().catch(() => {});
+    on('auth_failure', async (msg) => {
+      this.log.error('Authentication failed', { reason: msg });
+      this.connected = false;
+      this.setStatus('auth_failed', { reason: msg });
     });
   }
 
   async initialize() {
     try {
-      console.log(`Initializing WhatsApp client for user ${this.userId}...`);
+      this.log.info('Initializing WhatsApp client');
       
-      this.status = 'initializing';
-      this.notifyStatusChange().catch(() => {});
+      this.setStatus('initializing');
+
+      // Held links don't need the session; they go out even if the login never completes
+      this.resumeHeldLinks();
 
       // Start the WhatsApp client in background - don't await
       this.client.initialize().catch(error => {
-        console.error(`WhatsApp client initialization failed for user ${this.userId}:`, error);
-        this.status = 'error';
-        this.notifyStatusChange().catch(() => {});
+        this.log.error('WhatsApp client initialization failed', error);
+        this.setStatus('error', { reason: error.message });
       });
       
-      console.log(`WhatsApp client initialization started for user ${this.userId}`);
+      this.log.info('WhatsApp client initialization started');
       
     } catch (error) {
-      console.error(`Failed to start WhatsApp client for user ${this.userId}:`, error);
-      this.status = 'error';
-      this.notifyStatusChange().catch(() => {});
+      this.log.error('Failed to start WhatsApp client', error);
+      this.setStatus('error', { reason: error.message });
       throw error;
     }
   }
 
   async handleQRCode(qr) {
     try {
-      console.log(`Generating QR code for user ${this.userId}`);
+      this.log.debug('Generating QR code');
       
       // Store raw QR string
       this.qrCode = qr;
@@ -111,14 +199,36 @@ class WhatsAppBot {
         }
       });
       
-      this.status = 'qr_ready';
-      this.notifyStatusChange().catch(() => {});
+      metrics.qrCodes.inc();
+      this.setStatus('qr_ready');
       await this.notifyQRCode();
       
-      console.log(`QR code generated and ready for user ${this.userId}`);
+      this.log.info('QR code generated and ready');
       
     } catch (error) {
-      console.error(`Failed to generate QR code for user ${this.userId}:`, error);
+      this.log.error('Failed to generate QR code', error);
+    }
+  }
+
+  async handlePairingCode(code) {
+    try {
+      this.pairingCode = {
+        code,
+        expiresAt: new Date(Date.now() + this.pairingCodeIntervalMs).toISOString()
+      };
+
+      metrics.pairingCodes.inc();
+      this.setStatus('pairing_code_ready');
+      this.publishEvent('pairing_code', {
+        type: 'pairing_code',
+        userId: this.userId,
+        pairingCode: code,
+        expiresAt: this.pairingCode.expiresAt,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      this.log.error('Failed to handle pairing code', error);
     }
   }
 
@@ -128,198 +238,313 @@ class WhatsAppBot {
       this.connected = true;
       this.qrCode = null; // Clear QR code once connected
       this.qrCodeDataURL = null;
+      this.pairingCode = null;
       
       this.notifyStatusChange().catch(() => {});
       
-      console.log(`WhatsApp client ready and connected for user ${this.userId}`);
+      this.log.info('WhatsApp client ready and connected');
       
     } catch (error) {
-      console.error(`Error handling ready state for user ${this.userId}:`, error);
+      this.log.error('Error handling ready state', error);
     }
   }
 
-  async handleMessage(message) {
+  // Live messages and backfilled history (`backfill: true`) share this path.
+  // Returns the number of links dispatched.
+  async handleMessage(message, { backfill = false } = {}) {
+    let dispatched = 0;
+
     try {
       // Skip if message is from status broadcast
-      if (message.from === 'status@broadcast') return;
+      if (message.from === 'status@broadcast') return dispatched;
+
+      // Commands and our replies to them are never scanned for links; history isn't executed.
+      // Replies are checked first so one can never be taken for a command and answered again.
+      if (this.commands.isReply(message)) return dispatched;
+      if (this.commands.isCommand(message)) {
+        if (!backfill && !this.dedupStore.seenMessage(this.userId, message.id._serialized)) {
+          await this.commands.handle(message);
+        }
+        return dispatched;
+      }
+
+      // Not marked as seen, so a backfill after resuming still finds these links
+      if (this.paused) return dispatched;
       
-      // Extract message content
-      const messageBody = message.body || '';
-      const messageId = message.id.id;
+      const messageId = message.id._serialized;
       
-      // Skip if already processed
-      if (this.processedMessages.has(messageId)) return;
-      this.processedMessages.add(messageId);
+      // Skip if already processed (also across restarts)
+      if (this.dedupStore.seenMessage(this.userId, messageId)) return dispatched;
+      metrics.messagesProcessed.inc({ backfill: String(backfill) });
       
-      // Extract links from message
-      const links = this.extractLinks(messageBody);
+      // Extract links from the text and whatever the message carries, each tagged with its origin
+      const links = this.mediaLinks.extract(message);
+      const readDocument = this.mediaLinks.hasDocument(message);
       
-      if (links.length > 0) {
-        console.log(`Found ${links.length} links in message from user ${this.userId}`);
-        
-        // Get contact info
-        const contact = await message.getContact();
-        const senderName = contact.pushname || contact.name || contact.number || 'Unknown';
+      if (links.length > 0 || readDocument) {
+        const context = { ...(await buildMessageContext(message)), backfill };
+
+        const messageCheck = evaluateMessage(this.filters, context);
+        if (!messageCheck.allowed) {
+          this.log.info('Skipping links in message', { messageId, rule: messageCheck.rule.type });
+          return dispatched;
+        }
+
+        // Attachments are only downloaded for messages the filters let through
+        if (readDocument) links.push(...await this.mediaLinks.documentLinks(message, links));
+        if (links.length === 0) return dispatched;
+
+        this.log.info('Found links in message', { messageId, links: links.length, backfill });
         
-        // Dispatch each link
-        for (const link of links) {
-          await this.dispatchLink(link, senderName, messageBody);
+        // Dispatch each link that passes the domain rules
+        for (const extracted of links) {
+          // Short links are expanded first so domain rules see the real target
+          const link = await resolveLink(extracted, this.linkOptions);
+
+          const linkCheck = evaluateLink(this.filters, link.canonical);
+          if (!linkCheck.allowed) {
+            this.log.info('Skipping link', { url: link.canonical, rule: linkCheck.rule.type });
+            continue;
+          }
+
+          const matchedRule = linkCheck.rule || messageCheck.rule;
+
+          // The same URL posted in several chats is only delivered once per TTL window
+          const sighting = { chatId: context.chatId, chatName: context.chatName, sender: context.senderName };
+          const { duplicate, entry } = this.dedupStore.recordLink(this.userId, link.canonical, sighting);
+          if (duplicate) {
+            this.log.info('Duplicate link', { url: link.canonical, hits: entry.hits });
+            continue;
+          }
+
+          if (this.aggregateMs > 0 && !backfill) {
+            this.holdLink(link, context, matchedRule);
+          } else {
+            await this.dispatchLink(link, context, matchedRule);
+          }
+          dispatched += 1;
         }
       }
       
     } catch (error) {
-      console.error(`Error handling message for user ${this.userId}:`, error);
+      this.log.error('Error handling message', error);
     }
+
+    return dispatched;
+  }
+
+  handleMessageAck(message, ack) {
+    const record = this.messenger.handleAck(message, ack);
+    if (!record) return;
+
+    this.publishEvent('message_ack', {
+      type: 'message_ack',
+      userId: this.userId,
+      messageId: record.id,
+      to: record.to,
+      ack: record.ack,
+      state: record.state,
+      timestamp: new Date().toISOString()
+    });
   }
 
   async handleDisconnected(reason) {
     try {
-      this.status = 'disconnected';
       this.connected = false;
       this.qrCode = null;
       this.qrCodeDataURL = null;
+      this.pairingCode = null;
+
+      // A logout needs a fresh QR scan, a dropped connection can simply be reconnected
+      let status = 'disconnected';
+      if (BotSupervisor.LOGGED_OUT_REASONS.has(reason)) {
+        status = 'logged_out';
+      } else if (reason === 'Max qrcode retries reached') {
+        status = 'login_timeout';
+      }
+
+      this.setStatus(status, { reason });
       
-      this.notifyStatusChange().catch(() => {});
-      
-      console.log(`WhatsApp client disconnected for user ${this.userId}. Reason:`, reason);
+      this.log.info('WhatsApp client disconnected', { status, reason });
       
     } catch (error) {
-      console.error(`Error handling disconnection for user ${this.userId}:`, error);
+      this.log.error('Error handling disconnection', error);
     }
   }
 
-  extractLinks(text) {
-    const urlRegex = /(https?:\/\/[^\s]+)/g;
-    return text.match(urlRegex) || [];
+  // Replace the filter rules; callers validate them with validateRules first
+  setFilters(filters) {
+    this.filterRules = filters || {};
+    this.filters = compileRules(this.filterRules);
   }
 
-  async dispatchLink(link, sender, messageText) {
-    try {
-      // First, send to user's webhook if configured
-      if (this.webhookUrl) {
-        const payload = {
-          link: link,
-          sender: sender,
-          message: messageText,
-          timestamp: new Date().toISOString(),
-          source: 'whatsapp-web',
-          user_id: this.userId
-        };
-
-        console.log(`Dispatching link to user webhook for ${this.userId}:`, payload);
-
-        const headers = {
-          'Content-Type': 'application/json',
-          'User-Agent': 'WhatsApp-Bot-Enhanced/1.0'
-        };
-        
-        // Add optional webhook authentication
-        if (process.env.WEBHOOK_SECRET) {
-          headers['Authorization'] = `Bearer ${process.env.WEBHOOK_SECRET}`;
-        }
+  // Replace the registered webhook destinations; callers validate them first
+  setWebhooks(webhooks) {
+    this.webhooks = compileDestinations(webhooks);
+  }
+
+  // Filter change made from a chat command; the server persists it
+  updateFilters(filters) {
+    this.setFilters(filters);
+    this.emit('settings_change', { filters });
+  }
+
+  setPaused(paused) {
+    this.paused = paused;
+    this.log.info(paused ? 'Link dispatch paused' : 'Link dispatch resumed');
+    this.emit('settings_change', { paused });
+  }
+
+  // Replace the chat relay rules; callers validate them first
+  setRelays(relays) {
+    this.relay.setRules(relays);
+  }
+
+  // The implicit webhook/callback destinations plus the registered ones subscribed to `type`
+  destinationsFor(type) {
+    const implicit = implicitDestinations({
+      webhookUrl: this.webhookUrl,
+      callbackUrl: this.callbackUrl,
+      payloadVersion: this.payloadVersion
+    });
+
+    return [...implicit, ...this.webhooks].filter(destination => subscribes(destination, type));
+  }
+
+  // Hold a new link for aggregateMs to collect the other chats it shows up in. The held link is
+  // persisted with its dedup entry, so one still waiting when the bot stops goes out after the next start.
+  holdLink(link, context, matchedRule) {
+    this.dedupStore.holdLink(this.userId, link.canonical, { link, context, matchedRule, dueAt: Date.now() + this.aggregateMs });
+    this.scheduleHeldLink(link.canonical, this.aggregateMs);
+  }
+
+  scheduleHeldLink(canonical, delayMs) {
+    if (this.heldTimers.has(canonical)) return;
+
+    const timer = setTimeout(() => this.releaseHeldLink(canonical), delayMs);
+    timer.unref();
+    this.heldTimers.set(canonical, timer);
+  }
+
+  async releaseHeldLink(canonical) {
+    this.heldTimers.delete(canonical);
+
+    const held = this.dedupStore.takeHeldLink(this.userId, canonical);
+    if (!held) return;
+
+    await this.dispatchLink(held.link, held.context, held.matchedRule, this.dedupStore.getLink(this.userId, canonical));
+  }
 
-        const response = await axios.post(this.webhookUrl, payload, {
-          timeout: 10000,
-          headers
-        });
+  // Links that were still held when the bot last stopped
+  resumeHeldLinks() {
+    for (const { canonical, dueAt } of this.dedupStore.heldLinks(this.userId)) {
+      this.scheduleHeldLink(canonical, Math.max(0, dueAt - Date.now()));
+    }
+  }
 
-        console.log(`Link dispatched to user webhook successfully for ${this.userId}`);
+  // `link` is an extracted link: { original, url, canonical, expanded, origin }.
+  // `context` comes from buildMessageContext; `seen` is the dedup entry when
+  // delivery was held back to collect duplicates.
+  async dispatchLink(link, context, matchedRule = null, seen = null) {
+    try {
+      // Page metadata, if it arrives within the enrichment budget; otherwise the link goes out without it
+      if (this.linkEnricher?.enabled) {
+        const metadata = await this.linkEnricher.enrich(link.canonical);
+        if (metadata) link = { ...link, metadata };
       }
 
-      // Also send to callback URL if configured
-      if (this.callbackUrl) {
-        const callbackPayload = {
-          type: 'link_detected',
-          userId: this.userId,
-          link: link,
-          sender: sender,
-          message: messageText,
-          timestamp: new Date().toISOString()
-        };
-
-        const headers = {
-          'Content-Type': 'application/json',
-          'User-Agent': 'WhatsApp-Bot-Enhanced/1.0'
-        };
-        
-        // Add Supabase auth if service role key is available
-        if (process.env.SUPABASE_SERVICE_ROLE_KEY) {
-          headers['Authorization'] = `Bearer ${process.env.SUPABASE_SERVICE_ROLE_KEY}`;
-        }
+      const event = { userId: this.userId, link, context, matchedRule, seen };
+      metrics.linksDetected.inc();
+
+      // Each destination gets the link in its own payload version, if its filter lets it through
+      const destinations = this.destinationsFor('link_detected').filter(destination => acceptsLink(destination, link, context));
+
+      // Archived before queueing so delivery outcomes can be recorded against the row
+      const linkId = this.linkArchive ? this.linkArchive.record(event, destinations.map(destination => destination.id)) : null;
+
+      for (const destination of destinations) {
+        // v1 payloads differ per channel; registered destinations get the callback shape, which carries `type`
+        const payload = buildLinkPayload(destination.payloadVersion, destination.channel === 'webhook' ? 'webhook' : 'callback', event);
 
-        await axios.post(this.callbackUrl, callbackPayload, {
-          timeout: 5000,
-          headers
-        });
+        this.log.info('Queueing link for destination', { url: link.canonical, destinationId: destination.id });
+        this.enqueueDelivery(destination, 'link_detected', payload, event, linkId);
       }
 
+      // Live event streams
+      this.emit('event', { type: 'link_detected', payload: buildLinkPayload(this.payloadVersion, 'callback', event) });
+
+      // Relay rules post the link into other chats through this session
+      this.relay.handleLink(link, context);
+
     } catch (error) {
-      console.error(`Failed to dispatch link for user ${this.userId}:`, error.message);
+      this.log.error('Failed to dispatch link', error);
     }
   }
 
-  async notifyStatusChange() {
-    if (this.callbackUrl) {
-      // Make webhook call non-blocking to prevent crashes
-      setImmediate(async () => {
-        try {
-          const headers = {
-            'Content-Type': 'application/json',
-            'User-Agent': 'WhatsApp-Bot-Enhanced/1.0'
-          };
-          
-          // Add Supabase auth if service role key is available
-          if (process.env.SUPABASE_SERVICE_ROLE_KEY) {
-            headers['Authorization'] = `Bearer ${process.env.SUPABASE_SERVICE_ROLE_KEY}`;
-          }
-          
-          await axios.post(this.callbackUrl, {
-            type: 'connection_status',
-            userId: this.userId,
-            status: this.status,
-            timestamp: new Date().toISOString()
-          }, {
-            timeout: 5000,
-            headers
-          });
-        } catch (error) {
-          console.warn(`Failed to notify status change for user ${this.userId}:`, error.message);
-        }
-      });
-    }
+  setStatus(status, details = {}) {
+    this.status = status;
+    this.notifyStatusChange(details).catch(() => {});
+  }
+
+  // `details` carries extra context such as the disconnect reason or reconnect attempt
+  async notifyStatusChange(details = {}) {
+    const status = this.status;
+
+    this.publishEvent('connection_status', {
+      type: 'connection_status',
+      userId: this.userId,
+      status,
+      resumed: this.resumed,
+      ...details,
+      timestamp: new Date().toISOString()
+    });
+
+    // Emitted last: listeners (the supervisor) may move the bot to a follow-up status
+    this.emit('status_change', { status, ...details });
   }
 
   async notifyQRCode() {
-    if (this.callbackUrl && this.qrCodeDataURL) {
-      // Make webhook call non-blocking to prevent crashes
-      setImmediate(async () => {
-        try {
-          const headers = {
-            'Content-Type': 'application/json',
-            'User-Agent': 'WhatsApp-Bot-Enhanced/1.0'
-          };
-          
-          // Add Supabase auth if service role key is available
-          if (process.env.SUPABASE_SERVICE_ROLE_KEY) {
-            headers['Authorization'] = `Bearer ${process.env.SUPABASE_SERVICE_ROLE_KEY}`;
-          }
-          
-          await axios.post(this.callbackUrl, {
-            type: 'qr_code',
-            userId: this.userId,
-            qrCode: this.qrCodeDataURL,
-            timestamp: new Date().toISOString()
-          }, {
-            timeout: 5000,
-            headers
-          });
-        } catch (error) {
-          console.warn(`Failed to notify QR code for user ${this.userId}:`, error.message);
-        }
+    if (this.qrCodeDataURL) {
+      this.publishEvent('qr_code', {
+        type: 'qr_code',
+        userId: this.userId,
+        qrCode: this.qrCodeDataURL,
+        timestamp: new Date().toISOString()
       });
     }
   }
 
+  // Send an event to every destination subscribed to it, and out as an 'event' for the
+  // live event stream whether or not any destination is configured
+  publishEvent(type, payload) {
+    for (const destination of this.destinationsFor(type)) {
+      this.enqueueDelivery(destination, type, payload);
+    }
+
+    this.emit('event', { type, payload });
+  }
+
+  // Hand an outgoing event to the persistent delivery queue, which owns retries and dead-lettering.
+  // Sink destinations (Slack, Discord, ...) get the event formatted for their service;
+  // `linkEvent` is the raw link event they format link_detected from, `linkId` its archive row.
+  enqueueDelivery(destination, type, payload, linkEvent = null, linkId = null) {
+    const request = formatDelivery(destination, type, payload, linkEvent);
+    if (!request) return;
+
+    this.deliveryQueue.enqueue({
+      userId: this.userId,
+      channel: destination.channel,
+      destinationId: destination.id,
+      type,
+      url: request.url,
+      payload: request.payload,
+      // Credentials (auth headers, credential-bearing sink URLs) are added at send time by the queue's authorizer
+      headers: { 'Content-Type': 'application/json', 'User-Agent': 'WhatsApp-Bot-Enhanced/1.0', ...request.headers },
+      timeout: destination.channel === 'callback' ? 5000 : 10000,
+      linkId
+    });
+  }
+
   async getQRCode() {
     return this.qrCodeDataURL;
   }
@@ -341,6 +566,24 @@ class WhatsAppBot {
     return !!this.qrCodeDataURL;
   }
 
+  // Current pairing code as { code, expiresAt }, null once expired or not in pairing mode
+  getPairingCode() {
+    if (!this.pairingCode || new Date(this.pairingCode.expiresAt) <= new Date()) return null;
+    return this.pairingCode;
+  }
+
+  hasPairingCode() {
+    return !!this.getPairingCode();
+  }
+
+  sendText(to, text, options) {
+    return this.messenger.sendText(to, text, options);
+  }
+
+  sendMedia(to, media, options) {
+    return this.messenger.sendMedia(to, media, options);
+  }
+
   getStatus() {
     return this.status;
   }
@@ -349,23 +592,64 @@ class WhatsAppBot {
     return this.connected;
   }
 
-  async disconnect() {
+  // Tear down the current client without touching the supervisor
+  async shutdownClient() {
+    const client = this.client;
+
+    this.connected = false;
+    this.qrCode = null;
+    this.qrCodeDataURL = null;
+    this.pairingCode = null;
+
     try {
-      console.log(`Disconnecting WhatsApp client for user ${this.userId}...`);
-      
-      if (this.client) {
-        await this.client.destroy();
+      if (client) {
+        await client.destroy();
       }
-      
-      this.connected = false;
+    } catch (error) {
+      this.log.warn('Error destroying WhatsApp client', error);
+    }
+  }
+
+  // RemoteAuth only backs up on an interval; take a last snapshot before a deliberate stop
+  async backupSession() {
+    const authStrategy = this.client?.authStrategy;
+    if (!this.connected || typeof authStrategy?.storeRemoteSession !== 'function') return;
+
+    try {
+      await authStrategy.storeRemoteSession();
+    } catch (error) {
+      this.log.warn('Final session backup failed', error);
+    }
+  }
+
+  // Replace the client with a fresh one; the auth strategy picks the saved session back up
+  async reconnect() {
+    this.log.info('Reconnecting WhatsApp client');
+
+    await this.shutdownClient();
+    this.client = this.createClient();
+    this.setupEventHandlers();
+
+    await this.initialize();
+  }
+
+  async disconnect({ backup = true } = {}) {
+    try {
+      this.log.info('Disconnecting WhatsApp client');
+
+      this.supervisor.stop();
+      this.relay.stop();
+      // Held links stay in the dedup store and are resumed by the next start
+      for (const timer of this.heldTimers.values()) clearTimeout(timer);
+      this.heldTimers.clear();
+      if (backup) await this.backupSession();
+      await this.shutdownClient();
       this.status = 'disconnected';
-      this.qrCode = null;
-      this.qrCodeDataURL = null;
       
-      console.log(`WhatsApp client disconnected for user ${this.userId}`);
+      this.log.info('WhatsApp client shut down');
       
     } catch (error) {
-      console.error(`Error disconnecting WhatsApp client for user ${this.userId}:`, error);
+      this.log.error('Error disconnecting WhatsApp client', error);
     }
   }
 }